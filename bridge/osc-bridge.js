@@ -0,0 +1,252 @@
+// OSC BRIDGE
+
+// Small local bridge between the sketch and tools like TouchDesigner, Max or Pure Data.
+// The sketch connects over WebSocket and sends one JSON message per frame. The bridge:
+// 1. Forwards the OSC messages in each frame over UDP to the OSC host/port set in the sketch
+// 2. Rebroadcasts the JSON to every other WebSocket client (e.g. a TouchDesigner WebSocket DAT)
+//
+// Only uses Node's built-in modules, no npm install needed:
+//   node bridge/osc-bridge.js [--port 8080] [--osc-host 127.0.0.1] [--osc-port 9000]
+
+const http = require('http');
+const crypto = require('crypto');
+const dgram = require('dgram');
+
+// Magic string from the WebSocket spec used to answer the handshake
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// SETTINGS
+
+const settings = {
+    port: 8080,
+    oscHost: '127.0.0.1',
+    oscPort: 9000
+};
+
+// Read --port, --osc-host and --osc-port from the command line
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i += 2) {
+    const value = args[i + 1];
+    switch (args[i]) {
+        case '--port':
+            settings.port = parseInt(value);
+            break;
+        case '--osc-host':
+            settings.oscHost = value;
+            break;
+        case '--osc-port':
+            settings.oscPort = parseInt(value);
+            break;
+        default:
+            console.error(`Unknown option: ${args[i]}`);
+            process.exit(1);
+    }
+}
+
+const udpSocket = dgram.createSocket('udp4');
+const clients = new Set();
+
+// WEBSOCKET SERVER
+
+const server = http.createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'text/plain' });
+    response.end('OSC bridge is running, connect with a WebSocket client.\n');
+});
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!key) {
+        socket.destroy();
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    const client = { socket: socket, buffer: Buffer.alloc(0) };
+    clients.add(client);
+    console.log(`🟢 Client connected (${clients.size} total)`);
+
+    socket.on('data', (chunk) => {
+        client.buffer = Buffer.concat([client.buffer, chunk]);
+        readFrames(client);
+    });
+
+    socket.on('close', () => removeClient(client));
+    socket.on('error', () => removeClient(client));
+});
+
+function removeClient(client) {
+    if (clients.delete(client)) {
+        console.log(`🔴 Client disconnected (${clients.size} total)`);
+    }
+}
+
+// Parse as many complete frames as the buffer holds. Browsers send each message
+// as a single frame, so fragmented messages are not supported.
+function readFrames(client) {
+    while (client.buffer.length >= 2) {
+        const buffer = client.buffer;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) return; // Wait for the rest of the frame
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= buffer[maskOffset + (i % 4)];
+            }
+        }
+        client.buffer = buffer.subarray(offset + length);
+
+        if (opcode === 0x1) {
+            handleMessage(client, payload.toString('utf8'));
+        } else if (opcode === 0x8) {
+            client.socket.end(encodeFrame(Buffer.alloc(0), 0x8));
+            removeClient(client);
+            return;
+        } else if (opcode === 0x9) {
+            client.socket.write(encodeFrame(payload, 0xA)); // Answer pings
+        }
+    }
+}
+
+function encodeFrame(payload, opcode = 0x1) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// MESSAGE HANDLING
+
+function handleMessage(sender, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        console.error('Ignoring message that is not JSON');
+        return;
+    }
+
+    // The sketch tells us where OSC should go
+    if (message.type === 'config' && message.osc) {
+        if (message.osc.port !== undefined) {
+            const port = parseInt(message.osc.port);
+            if (isValidPort(port)) settings.oscPort = port;
+            else console.error(`Ignoring OSC port ${message.osc.port}, it must be between 1 and 65535`);
+        }
+        settings.oscHost = message.osc.host || settings.oscHost;
+        console.log(`🎯 Sending OSC to ${settings.oscHost}:${settings.oscPort}`);
+        return;
+    }
+
+    if (Array.isArray(message.osc)) {
+        for (const oscMessage of message.osc) {
+            // Skip anything that isn't { address, args: [...] }
+            if (!oscMessage || typeof oscMessage !== 'object') continue;
+            const args = oscMessage.args === undefined ? [] : oscMessage.args;
+            if (!Array.isArray(args)) continue;
+            sendOscMessage(oscMessage.address, args);
+        }
+    }
+
+    // Everyone else gets the JSON as is
+    const frame = encodeFrame(Buffer.from(text, 'utf8'));
+    for (const client of clients) {
+        if (client !== sender) {
+            client.socket.write(frame);
+        }
+    }
+}
+
+// OSC ENCODING
+
+function sendOscMessage(address, args) {
+    if (typeof address !== 'string' || !address.startsWith('/')) return;
+
+    const packet = encodeOscMessage(address, args);
+    try {
+        udpSocket.send(packet, settings.oscPort, settings.oscHost, (error) => {
+            if (error) console.error('OSC send error:', error.message);
+        });
+    } catch (error) {
+        // A bad port or host throws straight away instead of calling back
+        console.error('OSC send error:', error.message);
+    }
+}
+
+function isValidPort(port) {
+    return Number.isInteger(port) && port >= 1 && port <= 65535;
+}
+
+// Numbers become floats, booleans become 0/1 integers, everything else a string
+function encodeOscMessage(address, args) {
+    let typeTags = ',';
+    const argumentBuffers = [];
+
+    for (const arg of args) {
+        if (typeof arg === 'number') {
+            const buffer = Buffer.alloc(4);
+            buffer.writeFloatBE(arg);
+            typeTags += 'f';
+            argumentBuffers.push(buffer);
+        } else if (typeof arg === 'boolean') {
+            const buffer = Buffer.alloc(4);
+            buffer.writeInt32BE(arg ? 1 : 0);
+            typeTags += 'i';
+            argumentBuffers.push(buffer);
+        } else {
+            typeTags += 's';
+            argumentBuffers.push(encodeOscString(String(arg)));
+        }
+    }
+
+    return Buffer.concat([encodeOscString(address), encodeOscString(typeTags), ...argumentBuffers]);
+}
+
+// OSC strings are null terminated and padded to a multiple of 4 bytes
+function encodeOscString(text) {
+    const length = Buffer.byteLength(text);
+    const buffer = Buffer.alloc(Math.ceil((length + 1) / 4) * 4);
+    buffer.write(text);
+    return buffer;
+}
+
+server.listen(settings.port, () => {
+    console.log(`🚀 OSC bridge listening on ws://localhost:${settings.port}`);
+    console.log(`🎯 Sending OSC to ${settings.oscHost}:${settings.oscPort}`);
+});
@@ -0,0 +1,250 @@
+// FACE MESH DATA
+
+// The canonical MediaPipe face mesh tesselation: 852 triangles, each three indices into the
+// 478 face keypoints. Taken from FACEMESH_TESSELATION in @mediapipe/face_mesh 0.4.1657299874,
+// which lists the same triangles as three connections each.
+//
+// @mediapipe/face_mesh is published by Google under the Apache License, Version 2.0:
+// https://www.apache.org/licenses/LICENSE-2.0
+
+const FACE_MESH_TRIANGLES = [
+    [127, 34, 139], [11, 0, 37], [232, 231, 120], [72, 37, 39], [128, 121, 47], [232, 121, 128], [104, 69, 67], [175, 171, 148],
+    [118, 50, 101], [73, 39, 40], [9, 151, 108], [48, 115, 131], [194, 204, 211], [74, 40, 185], [80, 42, 183], [40, 92, 186],
+    [230, 229, 118], [202, 212, 214], [83, 18, 17], [76, 61, 146], [160, 29, 30], [56, 157, 173], [106, 204, 194], [135, 214, 192],
+    [203, 165, 98], [21, 71, 68], [51, 45, 4], [144, 24, 23], [77, 146, 91], [205, 50, 187], [201, 200, 18], [91, 106, 182],
+    [90, 91, 181], [85, 84, 17], [206, 203, 36], [148, 171, 140], [92, 40, 39], [193, 189, 244], [159, 158, 28], [247, 246, 161],
+    [236, 3, 196], [54, 68, 104], [193, 168, 8], [117, 228, 31], [189, 193, 55], [98, 97, 99], [126, 47, 100], [166, 79, 218],
+    [155, 154, 26], [209, 49, 131], [135, 136, 150], [47, 126, 217], [223, 52, 53], [45, 51, 134], [211, 170, 140], [67, 69, 108],
+    [43, 106, 91], [230, 119, 120], [226, 130, 247], [63, 53, 52], [238, 20, 242], [46, 70, 156], [78, 62, 96], [46, 53, 63],
+    [143, 34, 227], [123, 117, 111], [44, 125, 19], [236, 134, 51], [216, 206, 205], [154, 153, 22], [39, 37, 167], [200, 201, 208],
+    [36, 142, 100], [57, 212, 202], [20, 60, 99], [28, 158, 157], [35, 226, 113], [160, 159, 27], [204, 202, 210], [113, 225, 46],
+    [43, 202, 204], [62, 76, 77], [137, 123, 116], [41, 38, 72], [203, 129, 142], [64, 98, 240], [49, 102, 64], [41, 73, 74],
+    [212, 216, 207], [42, 74, 184], [169, 170, 211], [170, 149, 176], [105, 66, 69], [122, 6, 168], [123, 147, 187], [96, 77, 90],
+    [65, 55, 107], [89, 90, 180], [101, 100, 120], [63, 105, 104], [93, 137, 227], [15, 86, 85], [129, 102, 49], [14, 87, 86],
+    [55, 8, 9], [100, 47, 121], [145, 23, 22], [88, 89, 179], [6, 122, 196], [88, 95, 96], [138, 172, 136], [215, 58, 172],
+    [115, 48, 219], [42, 80, 81], [195, 3, 51], [43, 146, 61], [171, 175, 199], [81, 82, 38], [53, 46, 225], [144, 163, 110],
+    [52, 65, 66], [229, 228, 117], [34, 127, 234], [107, 108, 69], [109, 108, 151], [48, 64, 235], [62, 78, 191], [129, 209, 126],
+    [111, 35, 143], [117, 123, 50], [222, 65, 52], [19, 125, 141], [221, 55, 65], [3, 195, 197], [25, 7, 33], [220, 237, 44],
+    [70, 71, 139], [122, 193, 245], [247, 130, 33], [71, 21, 162], [170, 169, 150], [188, 174, 196], [216, 186, 92], [2, 97, 167],
+    [141, 125, 241], [164, 167, 37], [72, 38, 12], [38, 82, 13], [63, 68, 71], [226, 35, 111], [101, 50, 205], [206, 92, 165],
+    [209, 198, 217], [165, 167, 97], [220, 115, 218], [133, 112, 243], [239, 238, 241], [214, 135, 169], [190, 173, 133], [171, 208, 32],
+    [125, 44, 237], [86, 87, 178], [85, 86, 179], [84, 85, 180], [83, 84, 181], [201, 83, 182], [137, 93, 132], [76, 62, 183],
+    [61, 76, 184], [57, 61, 185], [212, 57, 186], [214, 207, 187], [34, 143, 156], [79, 239, 237], [123, 137, 177], [44, 1, 4],
+    [201, 194, 32], [64, 102, 129], [213, 215, 138], [59, 166, 219], [242, 99, 97], [2, 94, 141], [75, 59, 235], [24, 110, 228],
+    [25, 130, 226], [23, 24, 229], [22, 23, 230], [26, 22, 231], [112, 26, 232], [189, 190, 243], [221, 56, 190], [28, 56, 221],
+    [27, 28, 222], [29, 27, 223], [30, 29, 224], [247, 30, 225], [238, 79, 20], [166, 59, 75], [60, 75, 240], [147, 177, 215],
+    [20, 79, 166], [187, 147, 213], [112, 233, 244], [233, 128, 245], [128, 114, 188], [114, 217, 174], [131, 115, 220], [217, 198, 236],
+    [198, 131, 134], [177, 132, 58], [143, 35, 124], [110, 163, 7], [228, 110, 25], [356, 389, 368], [11, 302, 267], [452, 350, 349],
+    [302, 303, 269], [357, 343, 277], [452, 453, 357], [333, 332, 297], [175, 152, 377], [347, 348, 330], [303, 304, 270], [9, 336, 337],
+    [278, 279, 360], [418, 262, 431], [304, 408, 409], [310, 415, 407], [270, 409, 410], [450, 348, 347], [422, 430, 434], [313, 314, 17],
+    [306, 307, 375], [387, 388, 260], [286, 414, 398], [335, 406, 418], [364, 367, 416], [423, 358, 327], [251, 284, 298], [281, 5, 4],
+    [373, 374, 253], [307, 320, 321], [425, 427, 411], [421, 313, 18], [321, 405, 406], [320, 404, 405], [315, 16, 17], [426, 425, 266],
+    [377, 400, 369], [322, 391, 269], [417, 465, 464], [386, 257, 258], [466, 260, 388], [456, 399, 419], [284, 332, 333], [417, 285, 8],
+    [346, 340, 261], [413, 441, 285], [327, 460, 328], [355, 371, 329], [392, 439, 438], [382, 341, 256], [429, 420, 360], [364, 394, 379],
+    [277, 343, 437], [443, 444, 283], [275, 440, 363], [431, 262, 369], [297, 338, 337], [273, 375, 321], [450, 451, 349], [446, 342, 467],
+    [293, 334, 282], [458, 461, 462], [276, 353, 383], [308, 324, 325], [276, 300, 293], [372, 345, 447], [352, 345, 340], [274, 1, 19],
+    [456, 248, 281], [436, 427, 425], [381, 256, 252], [269, 391, 393], [200, 199, 428], [266, 330, 329], [287, 273, 422], [250, 462, 328],
+    [258, 286, 384], [265, 353, 342], [387, 259, 257], [424, 431, 430], [342, 353, 276], [273, 335, 424], [292, 325, 307], [366, 447, 345],
+    [271, 303, 302], [423, 266, 371], [294, 455, 460], [279, 278, 294], [271, 272, 304], [432, 434, 427], [272, 407, 408], [394, 430, 431],
+    [395, 369, 400], [334, 333, 299], [351, 417, 168], [352, 280, 411], [325, 319, 320], [295, 296, 336], [319, 403, 404], [330, 348, 349],
+    [293, 298, 333], [323, 454, 447], [15, 16, 315], [358, 429, 279], [14, 15, 316], [285, 336, 9], [329, 349, 350], [374, 380, 252],
+    [318, 402, 403], [6, 197, 419], [318, 319, 325], [367, 364, 365], [435, 367, 397], [344, 438, 439], [272, 271, 311], [195, 5, 281],
+    [273, 287, 291], [396, 428, 199], [311, 271, 268], [283, 444, 445], [373, 254, 339], [282, 334, 296], [449, 347, 346], [264, 447, 454],
+    [336, 296, 299], [338, 10, 151], [278, 439, 455], [292, 407, 415], [358, 371, 355], [340, 345, 372], [346, 347, 280], [442, 443, 282],
+    [19, 94, 370], [441, 442, 295], [248, 419, 197], [263, 255, 359], [440, 275, 274], [300, 383, 368], [351, 412, 465], [263, 467, 466],
+    [301, 368, 389], [395, 378, 379], [412, 351, 419], [436, 426, 322], [2, 164, 393], [370, 462, 461], [164, 0, 267], [302, 11, 12],
+    [268, 12, 13], [293, 300, 301], [446, 261, 340], [330, 266, 425], [426, 423, 391], [429, 355, 437], [391, 327, 326], [440, 457, 438],
+    [341, 382, 362], [459, 457, 461], [434, 430, 394], [414, 463, 362], [396, 369, 262], [354, 461, 457], [316, 403, 402], [315, 404, 403],
+    [314, 405, 404], [313, 406, 405], [421, 418, 406], [366, 401, 361], [306, 408, 407], [291, 409, 408], [287, 410, 409], [432, 436, 410],
+    [434, 416, 411], [264, 368, 383], [309, 438, 457], [352, 376, 401], [274, 275, 4], [421, 428, 262], [294, 327, 358], [433, 416, 367],
+    [289, 455, 439], [462, 370, 326], [2, 326, 370], [305, 460, 455], [254, 449, 448], [255, 261, 446], [253, 450, 449], [252, 451, 450],
+    [256, 452, 451], [341, 453, 452], [413, 464, 463], [441, 413, 414], [258, 442, 441], [257, 443, 442], [259, 444, 443], [260, 445, 444],
+    [467, 342, 445], [459, 458, 250], [289, 392, 290], [290, 328, 460], [376, 433, 435], [250, 290, 392], [411, 416, 433], [341, 463, 464],
+    [453, 464, 465], [357, 465, 412], [343, 412, 399], [360, 363, 440], [437, 399, 456], [420, 456, 363], [401, 435, 288], [372, 383, 353],
+    [339, 255, 249], [448, 261, 255], [133, 243, 190], [133, 155, 112], [33, 246, 247], [33, 130, 25], [398, 384, 286], [362, 398, 414],
+    [362, 463, 341], [263, 359, 467], [263, 249, 255], [466, 467, 260], [75, 60, 166], [238, 239, 79], [162, 127, 139], [72, 11, 37],
+    [121, 232, 120], [73, 72, 39], [114, 128, 47], [233, 232, 128], [103, 104, 67], [152, 175, 148], [119, 118, 101], [74, 73, 40],
+    [107, 9, 108], [49, 48, 131], [32, 194, 211], [184, 74, 185], [191, 80, 183], [185, 40, 186], [119, 230, 118], [210, 202, 214],
+    [84, 83, 17], [77, 76, 146], [161, 160, 30], [190, 56, 173], [182, 106, 194], [138, 135, 192], [129, 203, 98], [54, 21, 68],
+    [5, 51, 4], [145, 144, 23], [90, 77, 91], [207, 205, 187], [83, 201, 18], [181, 91, 182], [180, 90, 181], [16, 85, 17],
+    [205, 206, 36], [176, 148, 140], [165, 92, 39], [245, 193, 244], [27, 159, 28], [30, 247, 161], [174, 236, 196], [103, 54, 104],
+    [55, 193, 8], [111, 117, 31], [221, 189, 55], [240, 98, 99], [142, 126, 100], [219, 166, 218], [112, 155, 26], [198, 209, 131],
+    [169, 135, 150], [114, 47, 217], [224, 223, 53], [220, 45, 134], [32, 211, 140], [109, 67, 108], [146, 43, 91], [231, 230, 120],
+    [113, 226, 247], [105, 63, 52], [241, 238, 242], [124, 46, 156], [95, 78, 96], [70, 46, 63], [116, 143, 227], [116, 123, 111],
+    [1, 44, 19], [3, 236, 51], [207, 216, 205], [26, 154, 22], [165, 39, 167], [199, 200, 208], [101, 36, 100], [43, 57, 202],
+    [242, 20, 99], [56, 28, 157], [124, 35, 113], [29, 160, 27], [211, 204, 210], [124, 113, 46], [106, 43, 204], [96, 62, 77],
+    [227, 137, 116], [73, 41, 72], [36, 203, 142], [235, 64, 240], [48, 49, 64], [42, 41, 74], [214, 212, 207], [183, 42, 184],
+    [210, 169, 211], [140, 170, 176], [104, 105, 69], [193, 122, 168], [50, 123, 187], [89, 96, 90], [66, 65, 107], [179, 89, 180],
+    [119, 101, 120], [68, 63, 104], [234, 93, 227], [16, 15, 85], [209, 129, 49], [15, 14, 86], [107, 55, 9], [120, 100, 121],
+    [153, 145, 22], [178, 88, 179], [197, 6, 196], [89, 88, 96], [135, 138, 136], [138, 215, 172], [218, 115, 219], [41, 42, 81],
+    [5, 195, 51], [57, 43, 61], [208, 171, 199], [41, 81, 38], [224, 53, 225], [24, 144, 110], [105, 52, 66], [118, 229, 117],
+    [227, 34, 234], [66, 107, 69], [10, 109, 151], [219, 48, 235], [183, 62, 191], [142, 129, 126], [116, 111, 143], [118, 117, 50],
+    [223, 222, 52], [94, 19, 141], [222, 221, 65], [196, 3, 197], [45, 220, 44], [156, 70, 139], [188, 122, 245], [139, 71, 162],
+    [149, 170, 150], [122, 188, 196], [206, 216, 92], [164, 2, 167], [242, 141, 241], [0, 164, 37], [11, 72, 12], [12, 38, 13],
+    [70, 63, 71], [31, 226, 111], [36, 101, 205], [203, 206, 165], [126, 209, 217], [98, 165, 97], [237, 220, 218], [237, 239, 241],
+    [210, 214, 169], [140, 171, 32], [241, 125, 237], [179, 86, 178], [180, 85, 179], [181, 84, 180], [182, 83, 181], [194, 201, 182],
+    [177, 137, 132], [184, 76, 183], [185, 61, 184], [186, 57, 185], [216, 212, 186], [192, 214, 187], [139, 34, 156], [218, 79, 237],
+    [147, 123, 177], [45, 44, 4], [208, 201, 32], [98, 64, 129], [192, 213, 138], [235, 59, 219], [141, 242, 97], [97, 2, 141],
+    [240, 75, 235], [229, 24, 228], [31, 25, 226], [230, 23, 229], [231, 22, 230], [232, 26, 231], [233, 112, 232], [244, 189, 243],
+    [189, 221, 190], [222, 28, 221], [223, 27, 222], [224, 29, 223], [225, 30, 224], [113, 247, 225], [99, 60, 240], [213, 147, 215],
+    [60, 20, 166], [192, 187, 213], [243, 112, 244], [244, 233, 245], [245, 128, 188], [188, 114, 174], [134, 131, 220], [174, 217, 236],
+    [236, 198, 134], [215, 177, 58], [156, 143, 124], [25, 110, 7], [31, 228, 25], [264, 356, 368], [0, 11, 267], [451, 452, 349],
+    [267, 302, 269], [350, 357, 277], [350, 452, 357], [299, 333, 297], [396, 175, 377], [280, 347, 330], [269, 303, 270], [151, 9, 337],
+    [344, 278, 360], [424, 418, 431], [270, 304, 409], [272, 310, 407], [322, 270, 410], [449, 450, 347], [432, 422, 434], [18, 313, 17],
+    [291, 306, 375], [259, 387, 260], [424, 335, 418], [434, 364, 416], [391, 423, 327], [301, 251, 298], [275, 281, 4], [254, 373, 253],
+    [375, 307, 321], [280, 425, 411], [200, 421, 18], [335, 321, 406], [321, 320, 405], [314, 315, 17], [423, 426, 266], [396, 377, 369],
+    [270, 322, 269], [413, 417, 464], [385, 386, 258], [248, 456, 419], [298, 284, 333], [168, 417, 8], [448, 346, 261], [417, 413, 285],
+    [326, 327, 328], [277, 355, 329], [309, 392, 438], [381, 382, 256], [279, 429, 360], [365, 364, 379], [355, 277, 437], [282, 443, 283],
+    [281, 275, 363], [395, 431, 369], [299, 297, 337], [335, 273, 321], [348, 450, 349], [359, 446, 467], [283, 293, 282], [250, 458, 462],
+    [300, 276, 383], [292, 308, 325], [283, 276, 293], [264, 372, 447], [346, 352, 340], [354, 274, 19], [363, 456, 281], [426, 436, 425],
+    [380, 381, 252], [267, 269, 393], [421, 200, 428], [371, 266, 329], [432, 287, 422], [290, 250, 328], [385, 258, 384], [446, 265, 342],
+    [386, 387, 257], [422, 424, 430], [445, 342, 276], [422, 273, 424], [306, 292, 307], [352, 366, 345], [268, 271, 302], [358, 423, 371],
+    [327, 294, 460], [331, 279, 294], [303, 271, 304], [436, 432, 427], [304, 272, 408], [395, 394, 431], [378, 395, 400], [296, 334, 299],
+    [6, 351, 168], [376, 352, 411], [307, 325, 320], [285, 295, 336], [320, 319, 404], [329, 330, 349], [334, 293, 333], [366, 323, 447],
+    [316, 15, 315], [331, 358, 279], [317, 14, 316], [8, 285, 9], [277, 329, 350], [253, 374, 252], [319, 318, 403], [351, 6, 419],
+    [324, 318, 325], [397, 367, 365], [288, 435, 397], [278, 344, 439], [310, 272, 311], [248, 195, 281], [375, 273, 291], [175, 396, 199],
+    [312, 311, 268], [276, 283, 445], [390, 373, 339], [295, 282, 296], [448, 449, 346], [356, 264, 454], [337, 336, 299], [337, 338, 151],
+    [294, 278, 455], [308, 292, 415], [429, 358, 355], [265, 340, 372], [352, 346, 280], [295, 442, 282], [354, 19, 370], [285, 441, 295],
+    [195, 248, 197], [457, 440, 274], [301, 300, 368], [417, 351, 465], [251, 301, 389], [394, 395, 379], [399, 412, 419], [410, 436, 322],
+    [326, 2, 393], [354, 370, 461], [393, 164, 267], [268, 302, 12], [312, 268, 13], [298, 293, 301], [265, 446, 340], [280, 330, 425],
+    [322, 426, 391], [420, 429, 437], [393, 391, 326], [344, 440, 438], [458, 459, 461], [364, 434, 394], [428, 396, 262], [274, 354, 457],
+    [317, 316, 402], [316, 315, 403], [315, 314, 404], [314, 313, 405], [313, 421, 406], [323, 366, 361], [292, 306, 407], [306, 291, 408],
+    [291, 287, 409], [287, 432, 410], [427, 434, 411], [372, 264, 383], [459, 309, 457], [366, 352, 401], [1, 274, 4], [418, 421, 262],
+    [331, 294, 358], [435, 433, 367], [392, 289, 439], [328, 462, 326], [94, 2, 370], [289, 305, 455], [339, 254, 448], [359, 255, 446],
+    [254, 253, 449], [253, 252, 450], [252, 256, 451], [256, 341, 452], [414, 413, 463], [286, 441, 414], [286, 258, 441], [258, 257, 442],
+    [257, 259, 443], [259, 260, 444], [260, 467, 445], [309, 459, 250], [305, 289, 290], [305, 290, 460], [401, 376, 435], [309, 250, 392],
+    [376, 411, 433], [453, 341, 464], [357, 453, 465], [343, 357, 412], [437, 343, 399], [344, 360, 440], [420, 437, 456], [360, 420, 363],
+    [361, 401, 288], [265, 372, 353], [390, 339, 249], [339, 448, 255]
+];
+
+// Texture coordinates for the first 468 keypoints (the iris keypoints have none), as [u, v]
+// from 0 to 1 with v going down. Used to wrap an image around the face with the triangles above.
+// Taken from UV_COORDS in @tensorflow-models/facemesh 0.0.5, also published by Google under the
+// Apache License, Version 2.0.
+
+const FACE_MESH_UVS = [
+    [0.5, 0.6525], [0.5, 0.5475], [0.5, 0.6024], [0.4821, 0.472], [0.5002, 0.5272], [0.4999, 0.4983],
+    [0.4995, 0.4011], [0.2897, 0.3808], [0.5, 0.3124], [0.5, 0.2699], [0.5, 0.1071], [0.5, 0.6662],
+    [0.5, 0.6792], [0.5, 0.6923], [0.5, 0.6953], [0.5, 0.7059], [0.5, 0.7194], [0.5, 0.737],
+    [0.5, 0.7814], [0.4998, 0.563], [0.4738, 0.5739], [0.1049, 0.2541], [0.3659, 0.4096], [0.3388, 0.413],
+    [0.3111, 0.4095], [0.2747, 0.3891], [0.3934, 0.4037], [0.3452, 0.344], [0.3701, 0.3461], [0.3193, 0.3473],
+    [0.2979, 0.3536], [0.2478, 0.4108], [0.3969, 0.8428], [0.2801, 0.3756], [0.1063, 0.4], [0.2099, 0.3914],
+    [0.3558, 0.5344], [0.4718, 0.6504], [0.4742, 0.6802], [0.4398, 0.6572], [0.4146, 0.6665], [0.4504, 0.6809],
+    [0.4288, 0.6827], [0.375, 0.7278], [0.4867, 0.5476], [0.4853, 0.5274], [0.2578, 0.3145], [0.4012, 0.4552],
+    [0.4298, 0.5486], [0.4214, 0.5337], [0.2769, 0.5321], [0.4834, 0.4996], [0.3372, 0.2829], [0.2964, 0.2932],
+    [0.1693, 0.1938], [0.4476, 0.3026], [0.3924, 0.3539], [0.3545, 0.6968], [0.0673, 0.7301], [0.4427, 0.5728],
+    [0.4571, 0.5848], [0.382, 0.6947], [0.3924, 0.6942], [0.2771, 0.2719], [0.4226, 0.5632], [0.3859, 0.2814],
+    [0.3831, 0.2558], [0.3314, 0.1197], [0.2299, 0.232], [0.3645, 0.1891], [0.2296, 0.2995], [0.1733, 0.2787],
+    [0.4729, 0.6662], [0.4468, 0.6685], [0.4228, 0.6739], [0.4453, 0.5801], [0.3881, 0.694], [0.403, 0.7065],
+    [0.4036, 0.694], [0.46, 0.5571], [0.4312, 0.6924], [0.4522, 0.6924], [0.4754, 0.6924], [0.4658, 0.7792],
+    [0.4723, 0.7362], [0.4731, 0.7179], [0.4731, 0.7046], [0.473, 0.6953], [0.4279, 0.6953], [0.4265, 0.7035],
+    [0.4232, 0.7118], [0.4183, 0.7201], [0.3901, 0.6396], [0.014, 0.56], [0.4999, 0.5801], [0.4132, 0.6954],
+    [0.4096, 0.7018], [0.4681, 0.6015], [0.4227, 0.586], [0.4631, 0.5938], [0.3721, 0.4734], [0.3346, 0.4961],
+    [0.4117, 0.547], [0.2422, 0.1477], [0.2908, 0.2014], [0.3273, 0.2565], [0.3995, 0.7489], [0.4417, 0.2617],
+    [0.4298, 0.1878], [0.4122, 0.1089], [0.289, 0.399], [0.2189, 0.4354], [0.4128, 0.399], [0.2571, 0.3554],
+    [0.4277, 0.438], [0.4483, 0.5369], [0.1786, 0.4576], [0.2473, 0.4572], [0.2863, 0.4677], [0.3328, 0.4607],
+    [0.3688, 0.4472], [0.399, 0.4327], [0.4764, 0.4058], [0.1892, 0.5239], [0.229, 0.349], [0.4907, 0.5624],
+    [0.4047, 0.4851], [0.0195, 0.4016], [0.4262, 0.4204], [0.397, 0.5488], [0.2665, 0.377], [0.4391, 0.519],
+    [0.0323, 0.6444], [0.4191, 0.3872], [0.4628, 0.5057], [0.239, 0.7797], [0.1982, 0.8319], [0.1076, 0.5408],
+    [0.1836, 0.7403], [0.1344, 0.3337], [0.3858, 0.8832], [0.491, 0.5794], [0.3824, 0.5086], [0.1744, 0.3977],
+    [0.3188, 0.3962], [0.3434, 0.4006], [0.3961, 0.7102], [0.1879, 0.5885], [0.431, 0.9441], [0.319, 0.8983],
+    [0.2662, 0.8697], [0.5, 0.1906], [0.5, 0.9545], [0.3662, 0.3988], [0.3932, 0.3955], [0.4104, 0.3911],
+    [0.195, 0.3421], [0.3887, 0.3623], [0.366, 0.356], [0.3434, 0.3554], [0.3188, 0.3583], [0.3014, 0.3632],
+    [0.0581, 0.3191], [0.3014, 0.3874], [0.5, 0.6184], [0.4158, 0.6242], [0.4457, 0.5661], [0.4658, 0.6206],
+    [0.4999, 0.3515], [0.2887, 0.8199], [0.3353, 0.8528], [0.4405, 0.9024], [0.1283, 0.7919], [0.4088, 0.3739],
+    [0.4556, 0.4518], [0.4999, 0.909], [0.3754, 0.9242], [0.1142, 0.615], [0.4487, 0.6953], [0.448, 0.7046],
+    [0.4471, 0.7158], [0.4448, 0.7308], [0.43, 0.7668], [0.4068, 0.6857], [0.4007, 0.6811], [0.3924, 0.6777],
+    [0.3679, 0.6639], [0.2479, 0.6013], [0.4528, 0.4208], [0.4364, 0.3599], [0.4162, 0.3687], [0.4134, 0.6924],
+    [0.228, 0.6836], [0.4683, 0.3527], [0.4114, 0.8043], [0.5, 0.4698], [0.4792, 0.4427], [0.5, 0.4396],
+    [0.4321, 0.4936], [0.4999, 0.8669], [0.4999, 0.8217], [0.4565, 0.8192], [0.3445, 0.7454], [0.3789, 0.574],
+    [0.3743, 0.7802], [0.3197, 0.5707], [0.3572, 0.6043], [0.2953, 0.6216], [0.4478, 0.8625], [0.411, 0.5087],
+    [0.314, 0.7753], [0.3541, 0.8126], [0.3245, 0.704], [0.1891, 0.6463], [0.2798, 0.7147], [0.1338, 0.6827],
+    [0.3368, 0.6447], [0.4299, 0.4665], [0.4555, 0.5486], [0.4371, 0.5589], [0.4673, 0.5299], [0.4147, 0.3352],
+    [0.377, 0.3228], [0.3441, 0.3202], [0.3129, 0.3223], [0.2835, 0.3332], [0.2412, 0.3828], [0.103, 0.4688],
+    [0.2676, 0.4246], [0.2979, 0.4332], [0.3334, 0.4339], [0.3664, 0.4261], [0.396, 0.4167], [0.4201, 0.4102],
+    [0.0076, 0.4808], [0.4329, 0.5695], [0.4586, 0.4791], [0.4735, 0.5457], [0.4761, 0.5638], [0.4685, 0.5551],
+    [0.434, 0.5824], [0.4835, 0.563], [0.4825, 0.5778], [0.4265, 0.3898], [0.439, 0.3965], [0.4501, 0.4004],
+    [0.2897, 0.3683], [0.2767, 0.3634], [0.5179, 0.4719], [0.7103, 0.3808], [0.5262, 0.5739], [0.8951, 0.2541],
+    [0.6341, 0.4096], [0.6612, 0.413], [0.6889, 0.4095], [0.7253, 0.3891], [0.6066, 0.4037], [0.6548, 0.344],
+    [0.6299, 0.3461], [0.6807, 0.3473], [0.7021, 0.3536], [0.7522, 0.4108], [0.6029, 0.8429], [0.7199, 0.3756],
+    [0.8937, 0.4], [0.7901, 0.3914], [0.644, 0.5345], [0.5282, 0.6504], [0.5258, 0.6802], [0.5602, 0.6572],
+    [0.5854, 0.6665], [0.5496, 0.6809], [0.5712, 0.6827], [0.6249, 0.7281], [0.5131, 0.5473], [0.5151, 0.5273],
+    [0.7422, 0.3145], [0.5986, 0.455], [0.5703, 0.5486], [0.5786, 0.5336], [0.7231, 0.5321], [0.5164, 0.4996],
+    [0.6628, 0.2829], [0.7036, 0.2933], [0.8307, 0.1938], [0.5524, 0.3026], [0.6076, 0.3539], [0.6454, 0.6967],
+    [0.9327, 0.7301], [0.5573, 0.5728], [0.5429, 0.5848], [0.618, 0.6947], [0.6076, 0.6942], [0.7229, 0.272],
+    [0.5774, 0.5632], [0.6141, 0.2814], [0.6169, 0.2559], [0.6685, 0.1199], [0.7701, 0.232], [0.6355, 0.1892],
+    [0.7704, 0.2996], [0.8267, 0.2788], [0.5271, 0.6662], [0.5532, 0.6685], [0.5772, 0.6739], [0.5547, 0.5801],
+    [0.6119, 0.694], [0.597, 0.7065], [0.5964, 0.694], [0.54, 0.5571], [0.5688, 0.6924], [0.5478, 0.6924],
+    [0.5246, 0.6924], [0.5341, 0.7791], [0.5277, 0.7362], [0.5269, 0.7179], [0.5269, 0.7046], [0.527, 0.6953],
+    [0.5721, 0.6953], [0.5735, 0.7035], [0.5768, 0.7118], [0.5817, 0.7201], [0.6099, 0.6399], [0.986, 0.56],
+    [0.5868, 0.6954], [0.5904, 0.7018], [0.5319, 0.6015], [0.5773, 0.5859], [0.5369, 0.5938], [0.6275, 0.4734],
+    [0.6656, 0.496], [0.5884, 0.5469], [0.7578, 0.1477], [0.7092, 0.2015], [0.6727, 0.2566], [0.6004, 0.749],
+    [0.5583, 0.2617], [0.5703, 0.1879], [0.5882, 0.109], [0.711, 0.399], [0.7811, 0.4354], [0.5872, 0.3989],
+    [0.7429, 0.3554], [0.5722, 0.4377], [0.5519, 0.5366], [0.8214, 0.4576], [0.7527, 0.4572], [0.7138, 0.4676],
+    [0.6671, 0.4607], [0.6311, 0.4472], [0.6009, 0.4325], [0.5235, 0.4056], [0.8107, 0.5239], [0.771, 0.349],
+    [0.5091, 0.5627], [0.5953, 0.485], [0.9805, 0.4016], [0.5735, 0.42], [0.603, 0.5487], [0.7335, 0.377],
+    [0.5606, 0.519], [0.9677, 0.6444], [0.581, 0.3872], [0.5377, 0.5054], [0.761, 0.7798], [0.8018, 0.8319],
+    [0.8924, 0.5408], [0.8164, 0.7403], [0.8656, 0.3337], [0.6141, 0.8832], [0.509, 0.5794], [0.6179, 0.5083],
+    [0.8256, 0.3977], [0.6812, 0.3962], [0.6566, 0.4006], [0.6039, 0.7102], [0.8121, 0.5885], [0.568, 0.9446],
+    [0.681, 0.8983], [0.7338, 0.8697], [0.6338, 0.3988], [0.6068, 0.3955], [0.5897, 0.3911], [0.805, 0.3421],
+    [0.6113, 0.3623], [0.634, 0.356], [0.6566, 0.3554], [0.6812, 0.3583], [0.6986, 0.3632], [0.9419, 0.3191],
+    [0.6986, 0.3874], [0.5842, 0.6241], [0.5543, 0.5661], [0.5342, 0.6206], [0.7112, 0.82], [0.6646, 0.8529],
+    [0.5591, 0.9026], [0.8717, 0.7919], [0.5912, 0.3739], [0.5443, 0.4516], [0.6246, 0.9242], [0.8858, 0.615],
+    [0.5513, 0.6953], [0.552, 0.7046], [0.5529, 0.7158], [0.5552, 0.7308], [0.5699, 0.767], [0.5932, 0.6857],
+    [0.5993, 0.6811], [0.6076, 0.6777], [0.6319, 0.6635], [0.752, 0.6013], [0.5472, 0.4204], [0.5635, 0.3598],
+    [0.5838, 0.3687], [0.5866, 0.6924], [0.7719, 0.6836], [0.5316, 0.3525], [0.5884, 0.8044], [0.5208, 0.4426],
+    [0.568, 0.4935], [0.5433, 0.8193], [0.6553, 0.7455], [0.621, 0.574], [0.6256, 0.7803], [0.6802, 0.5707],
+    [0.6428, 0.6043], [0.7047, 0.6215], [0.552, 0.8626], [0.5891, 0.5086], [0.6859, 0.7754], [0.6457, 0.8126],
+    [0.6753, 0.704], [0.8109, 0.6463], [0.7201, 0.7147], [0.8662, 0.6827], [0.6632, 0.6446], [0.5701, 0.4663],
+    [0.5446, 0.5484], [0.5628, 0.5588], [0.532, 0.5301], [0.5853, 0.3352], [0.623, 0.3228], [0.6559, 0.3202],
+    [0.6871, 0.3223], [0.7165, 0.3332], [0.7588, 0.3828], [0.897, 0.4688], [0.7324, 0.4245], [0.7021, 0.4332],
+    [0.6665, 0.4339], [0.6335, 0.4261], [0.6039, 0.4166], [0.5797, 0.4099], [0.9924, 0.4808], [0.5672, 0.5694],
+    [0.5414, 0.4789], [0.5266, 0.5461], [0.5239, 0.5638], [0.5315, 0.5551], [0.566, 0.5823], [0.5163, 0.5631],
+    [0.5175, 0.5779], [0.5736, 0.3898], [0.5607, 0.3953], [0.5498, 0.3998], [0.7103, 0.3683], [0.7233, 0.3634]
+];
+
+// Named landmark groups for the face features. Each outline lists the keypoint indices in order
+// around the feature, made by joining the FACEMESH_* contour connections of the same package.
+// Left and right follow the rest of the sketch, which is the other way round from MediaPipe's
+// names: leftEye here is the 33-133 eye that MediaPipe calls FACEMESH_RIGHT_EYE.
+
+const FACE_REGIONS = {
+    faceOval: {
+        label: 'Face Oval',
+        outline: [10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378, 400, 377,
+                  152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109]
+    },
+    lips: {
+        label: 'Lips',
+        outline: [61, 146, 91, 181, 84, 17, 314, 405, 321, 375, 291, 409, 270, 269, 267, 0, 37, 39, 40, 185]
+    },
+    mouth: {
+        label: 'Mouth Opening',
+        outline: [78, 95, 88, 178, 87, 14, 317, 402, 318, 324, 308, 415, 310, 311, 312, 13, 82, 81, 80, 191]
+    },
+    leftEye: {
+        label: 'Left Eye',
+        outline: [33, 7, 163, 144, 145, 153, 154, 155, 133, 173, 157, 158, 159, 160, 161, 246]
+    },
+    rightEye: {
+        label: 'Right Eye',
+        outline: [263, 249, 390, 373, 374, 380, 381, 382, 362, 398, 384, 385, 386, 387, 388, 466]
+    },
+    leftEyebrow: {
+        label: 'Left Eyebrow',
+        outline: [46, 53, 52, 65, 55, 107, 66, 105, 63, 70]
+    },
+    rightEyebrow: {
+        label: 'Right Eyebrow',
+        outline: [276, 283, 282, 295, 285, 336, 296, 334, 293, 300]
+    },
+    // Iris outlines only exist with refineLandmarks: true
+    leftIris: {
+        label: 'Left Iris',
+        outline: [469, 470, 471, 472]
+    },
+    rightIris: {
+        label: 'Right Iris',
+        outline: [474, 475, 476, 477]
+    }
+};
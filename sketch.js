@@ -7,25 +7,67 @@
 // SETUP CANVAS
 
 let canvas;
-let video;
+let video; // Active input source: webcam capture, video file or image sequence frame
 let canvasWidth, canvasHeight;
 
 // Dynamic sizing - canvas will be 85% of window size
 const CANVAS_SCALE = 0.85;
 
+// SETUP INPUT SOURCE
+
+// Input source state - the detections run on whichever source is active
+let inputSource = 'webcam'; // Current input source (webcam, videoFile, imageSequence)
+let mediaPlaying = false; // Playback state for video files and image sequences
+let mediaLooping = true; // Loop video files and image sequences by default
+let videoFileFrameRate = 30; // Assumed frame rate used for frame-stepping video files
+let imageSequenceUrls = []; // Object URLs for each frame of the image sequence
+let imageSequenceIndex = 0;
+let imageSequenceFrameRate = 10; // Playback speed for image sequences (frames per second)
+let lastSequenceFrameTime = 0;
+let ml5Initialized = false; // ML5 models are only loaded once, whatever the source
+
 // SETUP MODELS
 
 // ML5 Models
 let faceMesh;
 let handPose;
+let bodyPose;
+let bodyModelName = 'MoveNet'; // MoveNet (fast, 17 keypoints) or BlazePose (33 keypoints)
+let predictionLoopStarted = false;
+let modelStates = {}; // Per model: loading, running, paused or error. Models that aren't loaded have no state
+const MODEL_LOAD_TIMEOUT = 30000; // A model still loading after this long (ms) is shown as an error
+
+// Detection scheduler - one detection at a time, each model at its own rate
+let detectionTargetFps = { faceMesh: 10, handPose: 10, bodyPose: 10 }; // Set with the Detection Rate sliders
+let adaptiveDetectionRate = true; // Slow models down when their inference takes too long
+let detectionStats = {}; // Per running model: { current, nextDue, inferenceTime, fps, lastFinished }
+let lastModelStatusUpdate = 0;
+const DETECTION_BUDGET = 0.6; // Share of the time detections may take with adaptive rate, the rest is for drawing
+const DETECTION_TIMEOUT = 3000; // A detection that hasn't answered after this long (ms) is given up on
+const SCHEDULER_IDLE_TICK = 100; // Longest the scheduler sleeps, so it notices models that start running (ms)
+let schedulerTimer = null;
 
 // ML5 Results - These arrays contain all the landmark data!
-let faces = [];
+let faces = []; // Every face and hand has an id that stays the same while it is tracked
 let hands = [];
+let bodies = []; // Body poses, only detected while Body Pose is on
+let maxFaces = 1; // How many faces Face Mesh looks for (Max Faces slider)
+
+// Identity tracking variables
+let trackingState = {
+    faces: { label: 'face', nextId: 1, tracks: [] },
+    hands: { label: 'hand', nextId: 1, tracks: [] },
+    bodies: { label: 'body', nextId: 1, tracks: [] }
+};
+let trackingListeners = { enter: [], leave: [] }; // Callbacks added with onTrackingEvent()
+let trackingEvents = []; // The most recent enter/leave events, shown in the data stream
+const TRACK_DROPOUT_TIME = 500; // A face or hand missing for longer than this (ms) has left
 
 // Toggle States
 let showFace = true;   // On by default
+let faceRenderStyle = 'points'; // points, wireframe, filled, contours or regions
 let showHands = false; // Off by default
+let showBody = false; // Off by default, the model only loads when this is first turned on
 let showVideo = true;  // Video on by default
 let showDataStream = false; // Data stream off by default
 let showDataOnVisualization = false; // Data on visualization off by default
@@ -33,23 +75,139 @@ let showFacePixelation = false; // Face pixelation off by default
 let pixelSize = 1; // Default pixel size for face pixelation
 let currentVideoFilter = 'none'; // Current video filter (none, bw, invert)
 let showFingertipDrawing = false; // Fingertip drawing off by default
+
+// 3D view variables - face and hands drawn with depth in a WEBGL buffer over the video
+let render3D = false;
+let render3DStyle = 'mesh'; // mesh, points or meshPoints
+let lightingMode = 'soft'; // none, soft or directional
+let depthColoring = true; // Color by distance to the camera instead of the usual colors
+let view3D = { rotationX: 0, rotationY: 0, zoom: 1, dragging: false };
+let scene3D = null; // The WEBGL buffer, made again when the canvas is resized
+
+// Face mask variables - images anchored to the face, listed in masks/masks.json
+let showFaceMasks = false;
+let faceMasks = []; // { name, image, type, anchor, width, offsetX, offsetY, rotation, opacity, enabled, img }
+let maskBuffer = null; // WEBGL buffer for the masks wrapped around the face mesh
+let maskFileUrls = []; // Object URLs of the last masks folder loaded in the controls
+const MASKS_FOLDER = 'masks/';
+const MASKS_FILE = 'masks.json'; // Loaded at startup from MASKS_FOLDER if it exists
 // Trigger states
 let winkTriggerEnabled = false;
 let mouthTextTriggerEnabled = false;
 let wristCircleTriggerEnabled = false;
+let gestureTriggerEnabled = false;
+let gestureTriggerName = 'peace'; // Which hand gesture fires the gesture trigger
+let motionTriggerEnabled = false;
+let bodyPoseTriggerEnabled = false;
 
 // Mouth text stream variables
 // NOTE FOR USERS: Change this quote to whatever text you want to display
 let criticalTheoryQuote = "The apparatus of surveillance has become so normalized that we perform for invisible audiences, transforming every gesture into data, every glance into currency for algorithmic interpretation.";
 let quoteWords = [];
-let currentWordIndex = 0;
-let lastMouthState = false;
+let mouthTextStates = {}; // Per face id: when the mouth opened, so each face's text starts from the first word
 let wordDisplayTime = 200; // milliseconds per word
 
+// Landmark smoothing variables
+let smoothingEnabled = false;
+let smoothingMethod = 'oneEuro'; // oneEuro, ema or kalman
+let smoothingStrength = { faces: 0.5, hands: 0.5, bodies: 0.5 }; // 0 = raw landmarks, 1 = heaviest smoothing
+let showRawLandmarks = false; // Draw the unsmoothed landmarks too, to compare
+let rawFaces = []; // Detections as they came from the model, before smoothing
+let rawHands = [];
+let rawBodies = [];
+let landmarkFilters = { faces: {}, hands: {}, bodies: {} }; // Filter state per detection and keypoint
+
+// Interpolated rendering variables - detections arrive ~10 times a second, draw() runs at 60
+let interpolationEnabled = false;
+let interpolationMode = 'interpolate'; // interpolate (smooth, one detection behind) or extrapolate (predicts ahead)
+let detectionHistory = { faces: [], hands: [], bodies: [] }; // The last two detections: { time, results }
+let renderLatency = 0; // How old the drawn landmarks are compared to the latest detection (ms)
+
+// Session recording and replay variables
+let isRecordingSession = false;
+let sessionRecordStart = 0;
+let sessionEvents = []; // Every detection result while recording: { t, type, data }
+let replaySession = null; // Session loaded from a file
+let isReplaying = false; // While replaying, detections come from the session instead of ML5
+let replayPlaying = false;
+let replayLooping = true;
+let replayPosition = 0; // Milliseconds into the session
+let replayLastUpdate = 0;
+let replayEventIndex = 0;
+
+// Gesture training variables - a small ml5 neuralNetwork learns your own hand gestures
+let gestureSamples = []; // Recorded examples: { label, inputs }
+let gestureClassLabel = 'my gesture'; // Class name new samples are recorded under
+let isRecordingGestureSamples = false;
+let lastGestureSampleTime = 0; // Time of the hand detection the last sample came from
+let gestureClassifier = null; // The trained ml5.neuralNetwork
+let gestureTrainingState = 'untrained'; // untrained, training or trained
+let gesturePredictions = {}; // Latest prediction per hand id: { label, confidence }
+let isClassifyingGestures = false;
+const GESTURE_TRAINING_EPOCHS = 50;
+
+// Motion gesture variables - hand movement over the last second
+let motionHistory = {}; // Per hand id: [{ time, wrist, tip, size }]
+let motionCooldowns = {}; // Per hand id: no new events until this time
+let motionListeners = []; // Callbacks added with onMotionGesture()
+let motionEvents = []; // The most recent motion gestures, for the data stream and trigger
+
+// Eye event variables - blinks and winks worked out from how long each eye stays closed
+let eyeEventStates = {}; // Per face id: eye states, the current closed-eye episode and counters
+let eyeEventListeners = []; // Callbacks added with onEyeEvent()
+let eyeEvents = []; // The most recent blinks and winks, for the data stream and triggers
+
+// Head pose variables - nods and shakes found in the head angles over time
+let headPoseHistory = {}; // Per face id: [{ time, yaw, pitch }]
+let headGestureCooldowns = {}; // Per face id: no new nods or shakes until this time
+let headGestureListeners = []; // Callbacks added with onHeadGesture()
+let headGestureEvents = []; // The most recent nods and shakes, for the data stream and triggers
+
+// Trigger rule variables - rules made in the Trigger Rules editor: conditions -> action
+let triggerRules = [];
+let ruleStates = {}; // Per rule id: { active, since, lastTrue, fired, cooldownUntil }
+let ruleTextOverlays = []; // Text shown by rules: { text, time }
+const TRIGGER_RULES_STORAGE_KEY = 'cvTemplate.triggerRules';
+const TRIGGER_RULES_FILE = 'triggers.json'; // Loaded at startup when no rules are saved in the browser
+
+// Audio variables - face and hand signals mapped to a synth, and samples played by conditions
+let audioEnabled = false;
+let audioMuted = false;
+let masterVolume = 0.5;
+let synthWaveform = 'sine';
+let sharedAudioContext = null;
+let masterGain = null; // Everything that makes sound goes through this
+let synthNodes = null; // { oscillator, filter, gain } while audio is enabled
+let audioSamples = {}; // Decoded sounds by name, built-in ones are made when audio starts
+let audioMappings = [
+    { source: 'wristDistance', target: 'pitch', min: 220, max: 880 },
+    { source: 'mouthOpen', target: 'filterCutoff', min: 200, max: 5000 }
+];
+let sampleTriggers = [
+    { condition: 'wink', sample: 'bell' },
+    { condition: 'fist', sample: 'kick' }
+];
+let sampleTriggerStates = []; // Whether each sample trigger's condition was true last frame
+
+// MIDI output variables - signals sent to synths as control change, notes or pitch bend
+let midiEnabled = false;
+let midiAccess = null;
+let midiOutput = null;
+let midiChannel = 0; // 0-15, shown as 1-16
+let midiMappings = [
+    { type: 'cc', source: 'noseX', number: 1, min: 0, max: 127 },
+    { type: 'cc', source: 'noseY', number: 2, min: 0, max: 127 },
+    { type: 'pitchBend', source: 'wristDistance', number: 0, min: 0, max: 16383 },
+    { type: 'note', source: 'mouthOpen', number: 60, min: 0, max: 100 }
+];
+let midiSoloIndex = null; // While set, only this mapping sends (to teach the synth which control it is)
+let midiLearnState = null; // { index, start, ranges, initial } while a mapping is learning its source
+let midiMonitor = []; // The most recent outgoing messages
+const MIDI_LEARN_TIME = 3000; // ms to move the body part a mapping should follow
+
 // Fingertip drawing variables
 let drawingPaths = [];
-let currentPath = [];
-let isDrawing = false;
+let currentPaths = {}; // The path each hand is drawing right now, by hand id
 let drawingColor = '#FFFF00'; // Default yellow color
 
 // Data stream options
@@ -60,7 +218,60 @@ let dataStreamOptions = {
     noseCenter: false,
     wristPosition: false,
     handOpen: false,
-    fingertipPositions: false
+    fingertipPositions: false,
+    expressionScores: false,
+    trackingEvents: false,
+    handGestures: false,
+    motionGestures: false,
+    eyeEvents: false,
+    headOrientation: false,
+    gaze: false,
+    bodyShoulders: false,
+    bodyElbows: false,
+    bodyHips: false,
+    bodyKnees: false
+};
+
+// Calibration - detector thresholds are relative to face and hand size so they
+// keep working when someone moves closer, further away or the canvas resizes
+const DEFAULT_CALIBRATION = {
+    leftEyeOpen: 0.05,  // Eyelid gap / eye corner distance above which the left eye counts as open
+    rightEyeOpen: 0.05, // Same for the right eye
+    mouthOpen: 0.12,    // Lip gap / eye corner distance above which the mouth counts as open
+    fist: 1.3,          // Fingertip-to-wrist distance / palm size below which a finger counts as curled
+    // Neutral face measurements (relative to eye corner distance) that expression scores start from
+    neutralMouthWidth: 0.55,
+    neutralBrowHeight: 0.22,
+    neutralCheekWidth: 0.9
+};
+const CALIBRATION_STORAGE_KEY = 'cvTemplate.calibration';
+let calibration = loadCalibration();
+let calibrationWizard = null; // State of the calibration flow while it runs
+
+// Gaze variables - where on the canvas someone is looking, from the irises and head angles
+let showGazeCursor = false;
+let gazeCursors = {}; // Smoothed cursor position per face id
+const GAZE_CALIBRATION_STORAGE_KEY = 'cvTemplate.gazeCalibration';
+let gazeCalibration = loadGazeCalibration(); // Fitted by looking at targets, null until then
+let gazeCalibrationWizard = null; // State of the gaze calibration while it runs
+
+// Data stream export variables
+let isRecordingDataStream = false;
+let dataStreamSamples = []; // One sample of every data stream value per frame while recording
+let dataStreamRecordStart = 0;
+let dataStreamExportFormat = 'csv'; // csv or json
+
+// Network output settings - the data stream is published to a local bridge (see bridge/osc-bridge.js)
+let networkOutputEnabled = false;
+let networkSocket = null;
+let networkState = 'off'; // off, connecting, connected, error
+let networkReconnectTimer = null;
+let networkSettings = {
+    host: 'localhost',
+    port: 8080,
+    oscHost: '127.0.0.1',
+    oscPort: 9000,
+    oscPrefix: '/cv'
 };
 
 // BASIC VISUAL SETTINGS - CUSTOMIZE THESE!
@@ -68,7 +279,157 @@ let dataStreamOptions = {
 // Colors for different detections
 const COLORS = {
     face: '#00FF00',      // Bright green for face mesh
-    hands: '#FF0066'      // Hot pink for hands
+    hands: '#FF0066',     // Hot pink for hands
+    body: '#00CCFF'       // Sky blue for body pose
+};
+
+// Colors for the face regions (see FACE_REGIONS in face-mesh-data.js)
+const FACE_REGION_COLORS = {
+    faceOval: '#00FF00',
+    lips: '#FF3366',
+    mouth: '#990033',
+    leftEye: '#33CCFF',
+    rightEye: '#33CCFF',
+    leftEyebrow: '#FFAA00',
+    rightEyebrow: '#FFAA00',
+    leftIris: '#FFFFFF',
+    rightIris: '#FFFFFF'
+};
+
+// Expression score ranges - each measurement is mapped from [min, max] to a 0-1 score.
+// Measurements are relative to the eye corner distance; tweak these if a score
+// never reaches 1 or never drops to 0 on your face.
+const EXPRESSION_RANGES = {
+    eyeOpen: [0.1, 0.3],       // Eyelid gap / eye width
+    mouthOpen: [0.02, 0.5],    // Lip gap
+    smileWidth: [0, 0.12],     // Mouth width increase over neutral
+    smileLift: [-0.01, 0.05],  // How far the mouth corners rise above the lip center
+    browRaise: [0.01, 0.08],   // Brow-to-eyelid increase over neutral
+    jawSideways: [0.03, 0.15], // Chin offset from the upper lip, sideways
+    cheekPuff: [0.01, 0.06]    // Cheek width increase over neutral
+};
+
+const EXPRESSION_LABELS = {
+    leftEyeOpen: 'Left Eye Open',
+    rightEyeOpen: 'Right Eye Open',
+    mouthOpen: 'Mouth Open',
+    smile: 'Smile',
+    browRaise: 'Brow Raise',
+    jawSideways: 'Jaw Sideways',
+    cheekPuff: 'Cheek Puff'
+};
+
+// Hand gesture thresholds. A finger's bend is the sum of the angles at its joints in
+// degrees: a straight finger is close to 0, a fully curled finger is around 200.
+// Distances are relative to the palm size (wrist to middle finger base).
+const GESTURE_THRESHOLDS = {
+    fingerExtended: 60, // Fingers bent less than this are extended
+    thumbExtended: 45,  // The thumb has fewer joints so it bends less
+    thumbOut: 0.5,      // Thumb tip distance from the index finger base to count as out
+    touching: 0.35,     // Thumb tip to index tip distance for OK and pinch
+    thumbVertical: 0.6  // How vertical the thumb must point for thumbs up/down (0-1)
+};
+
+const GESTURE_LABELS = {
+    openPalm: 'Open Palm',
+    fist: 'Fist',
+    point: 'Point',
+    peace: 'Peace',
+    thumbsUp: 'Thumbs Up',
+    thumbsDown: 'Thumbs Down',
+    ok: 'OK',
+    pinch: 'Pinch',
+    rock: 'Rock',
+    count0: 'Count 0',
+    count1: 'Count 1',
+    count2: 'Count 2',
+    count3: 'Count 3',
+    count4: 'Count 4',
+    count5: 'Count 5'
+};
+
+// Motion gesture thresholds. Distances are in palm sizes so they work at any distance from the camera.
+const MOTION_THRESHOLDS = {
+    window: 1000,        // How much movement history is looked at (ms)
+    swipeTime: 500,      // A swipe has to happen within this time (ms)
+    swipeDistance: 2.5,  // How far the wrist has to travel for a swipe
+    straightness: 0.8,   // Straight-line distance / path length for a swipe
+    circleTurn: 0.8,     // Full turns the fingertip has to make around its center
+    circleRadius: 0.4,   // Smallest circle radius
+    waveReversals: 3,    // Direction changes for a wave
+    waveAmplitude: 0.4,  // Smallest side-to-side movement that counts towards a wave
+    pushScale: 1.3,      // Hand size change for push (bigger) and pull (smaller)
+    cooldown: 800        // Time after a gesture before the same hand can make another (ms)
+};
+
+const MOTION_GESTURE_LABELS = {
+    swipeLeft: 'Swipe Left',
+    swipeRight: 'Swipe Right',
+    swipeUp: 'Swipe Up',
+    swipeDown: 'Swipe Down',
+    circleClockwise: 'Circle Clockwise',
+    circleCounterClockwise: 'Circle Counter-Clockwise',
+    wave: 'Wave',
+    push: 'Push',
+    pull: 'Pull'
+};
+
+const BODY_POSE_LABELS = {
+    armsRaised: 'Arms Raised',
+    tPose: 'T-Pose',
+    squat: 'Squat'
+};
+
+// Blink and wink timing (ms). Short one-eye closures are ignored, so a single bad frame
+// or slightly uneven eyes don't count as a wink.
+const EYE_EVENT_TIMING = {
+    blinkMax: 400,    // Both eyes closed for less than this is a blink
+    winkMin: 150,     // One eye has to stay closed at least this long for a wink
+    winkMax: 1500,    // ...and no longer than this
+    symmetry: 0.6,    // For a blink, both eyes have to be closed together for this share of the time
+    otherEyeMax: 0.3  // For a wink, the other eye can only be closed for this share of the time
+};
+
+// Head angles are in degrees
+const HEAD_POSE_THRESHOLDS = {
+    window: 1500,         // How far back (ms) nods and shakes are looked for
+    swing: 8,             // A nod or shake has to move the head at least this far each way
+    swings: 2,            // ...changing direction at least this many times (down-up-down is 2)
+    cooldown: 1000,       // No new nod or shake for the same face for this long (ms)
+    turn: 20              // Looking left/right/up/down starts at this angle
+};
+
+const GAZE_SETTINGS = {
+    eyeRange: 0.25,       // Without calibration, an iris this far off center (in eye widths) looks at the canvas edge
+    headRange: 30,        // ...and so does turning the head this many degrees
+    cursorSmoothing: 0.25, // How quickly the gaze cursor follows, 1 = no smoothing
+    settleTime: 1000,     // Each calibration target is shown this long before measuring (ms)
+    captureTime: 1200     // ...and measured for this long (ms)
+};
+
+// Where the gaze calibration targets appear, as fractions of the canvas
+const GAZE_CALIBRATION_TARGETS = [
+    [0.1, 0.1], [0.5, 0.1], [0.9, 0.1],
+    [0.1, 0.5], [0.5, 0.5], [0.9, 0.5],
+    [0.1, 0.9], [0.5, 0.9], [0.9, 0.9]
+];
+
+// The canvas split into a 3x3 grid of regions
+const GAZE_REGIONS = [
+    ['top-left', 'top', 'top-right'],
+    ['left', 'center', 'right'],
+    ['bottom-left', 'bottom', 'bottom-right']
+];
+
+const HEAD_GESTURE_LABELS = {
+    nod: 'Nod (Yes)',
+    shake: 'Shake (No)'
+};
+
+const EYE_EVENT_LABELS = {
+    blink: 'Blink',
+    leftWink: 'Left Wink',
+    rightWink: 'Right Wink'
 };
 
 // Drawing settings
@@ -87,6 +448,18 @@ function setup() {
     
     // Set up UI controls
     setupControls();
+    updateModelStatusDisplay();
+    
+    // Trigger rules from the last visit, or triggers.json
+    loadTriggerRules();
+    
+    // Face masks from masks/masks.json
+    loadFaceMasks();
+    
+    // A hand that leaves the frame finishes its fingertip drawing path
+    onTrackingEvent('leave', event => {
+        if (event.kind === 'hand') finishDrawingPath(event.id);
+    });
     
     updateStatus("🚀 Initializing camera...");
     
@@ -99,50 +472,71 @@ function setup() {
 
 function initializeVideo() {
     // Initialize video capture
+    inputSource = 'webcam';
     video = createCapture(VIDEO, () => {
         video.size(canvasWidth, canvasHeight);
         video.hide(); // Hide the default video element
     
-        updateStatus("📹 Camera ready, checking ML5...");
-        console.log("Video ready, checking ML5...");
-        console.log("typeof ml5:", typeof ml5);
-        console.log("window.ml5:", window.ml5);
-        
-        // Check for ML5 availability with more thorough detection
-        function checkML5() {
-            if (typeof ml5 !== 'undefined' && ml5.version) {
-                console.log("✅ ML5 found! Version:", ml5.version);
-                updateStatus("🤖 ML5 detected, loading models...");
-                initializeML5Models();
-            } else {
-                console.log("❌ ML5 not found, retrying...");
-                return false;
-            }
-            return true;
+        onInputSourceReady("📹 Camera ready");
+    });
+}
+
+// Called once any input source has its first frame ready
+function onInputSourceReady(message) {
+    updateMediaControls();
+    
+    // Models only need loading the first time a source becomes ready
+    if (ml5Initialized) {
+        updateStatus(message + ", running detections...");
+        return;
+    }
+    
+    // Replays don't need ML5, it gets loaded once the replay is stopped
+    if (isReplaying) {
+        updateStatus(message + ", replaying session...");
+        return;
+    }
+    
+    updateStatus(message + ", checking ML5...");
+    console.log("Video ready, checking ML5...");
+    console.log("typeof ml5:", typeof ml5);
+    console.log("window.ml5:", window.ml5);
+    
+    // Check for ML5 availability with more thorough detection
+    function checkML5() {
+        if (typeof ml5 !== 'undefined' && ml5.version) {
+            console.log("✅ ML5 found! Version:", ml5.version);
+            updateStatus("🤖 ML5 detected, loading models...");
+            ml5Initialized = true;
+            initializeML5Models();
+        } else {
+            console.log("❌ ML5 not found, retrying...");
+            return false;
         }
+        return true;
+    }
+    
+    // Try immediately
+    if (!checkML5()) {
+        updateStatus("⏳ Waiting for ML5 to load...");
         
-        // Try immediately
-        if (!checkML5()) {
-            updateStatus("⏳ Waiting for ML5 to load...");
-            
-            // Try every 500ms for up to 10 seconds
-            let attempts = 0;
-            const maxAttempts = 20;
+        // Try every 500ms for up to 10 seconds
+        let attempts = 0;
+        const maxAttempts = 20;
+        
+        const checkInterval = setInterval(() => {
+            attempts++;
+            console.log(`Attempt ${attempts}/${maxAttempts} to find ML5`);
             
-            const checkInterval = setInterval(() => {
-                attempts++;
-                console.log(`Attempt ${attempts}/${maxAttempts} to find ML5`);
-                
-                if (checkML5()) {
-                    clearInterval(checkInterval);
-                } else if (attempts >= maxAttempts) {
-                    clearInterval(checkInterval);
-                    updateStatus("❌ ML5 failed to load. Try refreshing the page.");
-                    console.error("ML5 failed to load after", maxAttempts, "attempts");
-}
-            }, 500);
-        }
-    });
+            if (checkML5()) {
+                clearInterval(checkInterval);
+            } else if (attempts >= maxAttempts) {
+                clearInterval(checkInterval);
+                updateStatus("❌ ML5 failed to load. Try refreshing the page.");
+                console.error("ML5 failed to load after", maxAttempts, "attempts");
+            }
+        }, 500);
+    }
 }
 
 // P5.JS DRAW FUNCTION - MAIN ANIMATION LOOP
@@ -151,6 +545,18 @@ function draw() {
     // Clear background
     background(0);
     
+    // Advance image sequences and keep the playback controls in sync
+    updateMediaPlayback();
+    
+    // Feed recorded detections back in when replaying a session
+    updateSessionReplay();
+    
+    // Load the models that the turned on features need, pause the others
+    updateModelStates();
+    
+    // Move landmarks smoothly between detections (otherwise they are drawn as detected)
+    updateRenderedLandmarks();
+    
     // Only draw video if it's loaded and ready AND showVideo is enabled
     if (showVideo && video && video.loadedmetadata) {
         // Draw video feed (mirrored for natural webcam feel)
@@ -173,17 +579,29 @@ function draw() {
         fill(255);
         textAlign(CENTER, CENTER);
         textSize(24);
-        text("Loading camera...", width/2, height/2);
+        text(inputSource === 'webcam' ? "Loading camera..." : "Loading media...", width/2, height/2);
     }
     
     // Draw all ML5 detections with extra debugging
-    if (showFace) {
-        console.log("Attempting to draw faces, count:", faces ? faces.length : 0);
-        drawFaceMesh();
+    if (render3D) {
+        draw3DView(); // Face and hands with depth, instead of the flat drawing
+    } else {
+        if (showFace) {
+            console.log("Attempting to draw faces, count:", faces ? faces.length : 0);
+            drawFaceMesh();
+        }
+        if (showHands) {
+            console.log("Attempting to draw hands, count:", hands ? hands.length : 0);
+            drawHands();
+        }
     }
-    if (showHands) {
-        console.log("Attempting to draw hands, count:", hands ? hands.length : 0);
-        drawHands();
+    if (showBody) {
+        drawBodies();
+    }
+    
+    // Draw the raw landmarks on top of the smoothed ones to compare
+    if (smoothingEnabled && showRawLandmarks) {
+        drawRawLandmarks();
     }
     
     // Draw face pixelation if enabled
@@ -191,11 +609,31 @@ function draw() {
         drawFacePixelation();
     }
     
+    // Glasses, hats and other masks on the faces
+    if (showFaceMasks) {
+        drawFaceMasks();
+    }
+    
+    // Where each face is looking
+    if (showGazeCursor) {
+        drawGazeCursors();
+    }
+    
     // Draw data stream in right panel if enabled
     if (showDataStream) {
         updateDataStreamPanel();
     }
     
+    // Record data stream values for export
+    if (isRecordingDataStream) {
+        recordDataStreamSample();
+    }
+    
+    // Publish the selected data stream values to external tools
+    if (networkOutputEnabled) {
+        publishNetworkFrame();
+    }
+    
     // Draw data labels on visualization if enabled
     if (showDataOnVisualization) {
         drawDataOnVisualization();
@@ -214,11 +652,61 @@ function draw() {
         drawWristCircleEffect();
     }
     
+    if (gestureTriggerEnabled) {
+        drawGestureEffect();
+    }
+    
+    if (motionTriggerEnabled) {
+        drawMotionGestureEffect();
+    }
+    
+    if (bodyPoseTriggerEnabled) {
+        drawBodyPoseEffect();
+    }
+    
+    // Rules from the Trigger Rules editor
+    updateTriggerRules();
+    drawRuleTextOverlays();
+    
+    // Sound from the Audio section
+    if (audioEnabled) {
+        updateAudio();
+    }
+    
+    // MIDI output
+    if (midiEnabled) {
+        updateMidiOutput();
+    }
+    
     // Draw fingertip drawing if enabled
     if (showFingertipDrawing) {
         drawFingertipDrawing();
     }
     
+    // Custom gesture training and live predictions
+    if (isRecordingGestureSamples) {
+        recordGestureSamples();
+    }
+    
+    if (gestureTrainingState === 'trained') {
+        classifyGestures();
+        drawGesturePredictions();
+    }
+    
+    // Run the calibration wizard on top of everything else
+    if (calibrationWizard) {
+        updateCalibration();
+        if (calibrationWizard) {
+            drawCalibrationOverlay();
+        }
+    }
+    if (gazeCalibrationWizard) {
+        updateGazeCalibration();
+        if (gazeCalibrationWizard) {
+            drawGazeCalibrationOverlay();
+        }
+    }
+    
     // Update detection counts
     updateDetectionCounts();
 
@@ -257,14 +745,252 @@ function handleResize() {
     }
 }
 
+// INPUT SOURCE FUNCTIONS
+
+// Stop and remove the current input source before switching to another one
+function disposeInputSource() {
+    if (!video) return;
+    
+    // Release the camera so the webcam light turns off
+    if (video.elt && video.elt.srcObject) {
+        video.elt.srcObject.getTracks().forEach(track => track.stop());
+    }
+    if (video.elt && typeof video.elt.pause === 'function') {
+        video.elt.pause();
+    }
+    
+    // Free object URLs created for local files
+    if (video.elt && video.elt.src && video.elt.src.startsWith('blob:') && inputSource === 'videoFile') {
+        URL.revokeObjectURL(video.elt.src);
+    }
+    for (let url of imageSequenceUrls) {
+        URL.revokeObjectURL(url);
+    }
+    imageSequenceUrls = [];
+    
+    video.remove();
+    video = null;
+    mediaPlaying = false;
+}
+
+function loadVideoFile(file) {
+    if (!file) return;
+    
+    disposeInputSource();
+    inputSource = 'videoFile';
+    updateStatus("🎞️ Loading video file...");
+    
+    video = createVideo(URL.createObjectURL(file), () => {
+        video.size(canvasWidth, canvasHeight);
+        video.hide();
+        video.elt.muted = true; // Allows playback without a user gesture
+        video.elt.loop = mediaLooping;
+        video.loadedmetadata = true; // Same flag the webcam capture sets
+        
+        video.play();
+        mediaPlaying = true;
+        
+        onInputSourceReady(`🎞️ Video "${file.name}" ready`);
+    });
+    
+    video.onended(() => {
+        if (!mediaLooping) {
+            mediaPlaying = false;
+            updateMediaControls();
+        }
+    });
+}
+
+function loadImageSequence(files) {
+    // Keep only images, sorted so frame_2 comes before frame_10
+    let imageFiles = Array.from(files)
+        .filter(file => file.type.startsWith('image/'))
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    
+    if (imageFiles.length === 0) {
+        updateStatus("❌ No image files found in that folder");
+        return;
+    }
+    
+    disposeInputSource();
+    inputSource = 'imageSequence';
+    updateStatus(`🖼️ Loading ${imageFiles.length} frames...`);
+    
+    imageSequenceUrls = imageFiles.map(file => URL.createObjectURL(file));
+    imageSequenceIndex = 0;
+    
+    // A single <img> element is reused, detections read it just like the video element
+    // The load callback runs again for every frame shown, only the first one starts playback
+    video = createImg(imageSequenceUrls[0], 'Image sequence frame', () => {
+        video.size(canvasWidth, canvasHeight);
+        
+        if (!video.loadedmetadata) {
+            video.loadedmetadata = true;
+            mediaPlaying = true;
+            lastSequenceFrameTime = millis();
+            onInputSourceReady(`🖼️ Image sequence ready (${imageFiles.length} frames)`);
+        }
+    });
+    video.hide();
+}
+
+function showImageSequenceFrame(index) {
+    if (inputSource !== 'imageSequence' || !video || imageSequenceUrls.length === 0) return;
+    
+    imageSequenceIndex = constrain(index, 0, imageSequenceUrls.length - 1);
+    video.elt.src = imageSequenceUrls[imageSequenceIndex];
+}
+
+// Called every frame from draw() to advance image sequences and update the controls
+function updateMediaPlayback() {
+    if (inputSource === 'imageSequence' && mediaPlaying && imageSequenceUrls.length > 0) {
+        if (millis() - lastSequenceFrameTime >= 1000 / imageSequenceFrameRate) {
+            lastSequenceFrameTime = millis();
+            
+            if (imageSequenceIndex + 1 < imageSequenceUrls.length) {
+                showImageSequenceFrame(imageSequenceIndex + 1);
+            } else if (mediaLooping) {
+                showImageSequenceFrame(0);
+            } else {
+                mediaPlaying = false;
+            }
+        }
+    }
+    
+    if (inputSource !== 'webcam') {
+        updateMediaControls();
+    }
+}
+
+function toggleMediaPlayback() {
+    if (inputSource === 'webcam' || !video) return;
+    
+    mediaPlaying = !mediaPlaying;
+    if (inputSource === 'videoFile') {
+        if (mediaPlaying) {
+            video.play();
+        } else {
+            video.pause();
+        }
+    } else {
+        lastSequenceFrameTime = millis();
+    }
+    updateMediaControls();
+}
+
+// Step forwards or backwards by a number of frames (pauses playback)
+function stepMediaFrame(delta) {
+    if (inputSource === 'webcam' || !video) return;
+    
+    if (mediaPlaying) {
+        toggleMediaPlayback();
+    }
+    
+    if (inputSource === 'videoFile') {
+        let newTime = video.time() + delta / videoFileFrameRate;
+        video.time(constrain(newTime, 0, video.duration()));
+    } else {
+        showImageSequenceFrame(imageSequenceIndex + delta);
+    }
+}
+
+// Seek to a frame number (the seek slider works in frames for both sources)
+function seekMediaFrame(frame) {
+    if (inputSource === 'webcam' || !video) return;
+    
+    if (inputSource === 'videoFile') {
+        video.time(constrain(frame / videoFileFrameRate, 0, video.duration()));
+    } else {
+        showImageSequenceFrame(frame);
+    }
+}
+
+function getMediaFrameInfo() {
+    if (inputSource === 'videoFile' && video && video.loadedmetadata) {
+        return {
+            current: Math.round(video.time() * videoFileFrameRate),
+            total: Math.max(Math.round(video.duration() * videoFileFrameRate) - 1, 0)
+        };
+    }
+    if (inputSource === 'imageSequence') {
+        return {
+            current: imageSequenceIndex,
+            total: Math.max(imageSequenceUrls.length - 1, 0)
+        };
+    }
+    return { current: 0, total: 0 };
+}
+
+function updateMediaControls() {
+    let mediaControls = document.getElementById('mediaControls');
+    mediaControls.style.display = inputSource === 'webcam' ? 'none' : 'block';
+    if (inputSource === 'webcam') return;
+    
+    let frameInfo = getMediaFrameInfo();
+    let seekSlider = document.getElementById('seekSlider');
+    seekSlider.max = frameInfo.total;
+    
+    // Don't fight the user while they are dragging the slider
+    if (document.activeElement !== seekSlider) {
+        seekSlider.value = frameInfo.current;
+    }
+    
+    document.getElementById('mediaFrameLabel').textContent = `${frameInfo.current} / ${frameInfo.total}`;
+    document.getElementById('playPauseButton').textContent = mediaPlaying ? 'Pause' : 'Play';
+}
+
 // ML5 MODEL INITIALIZATION
 
+// Every model the sketch can run. Each one is loaded, run in the detection loop and
+// counted in the loading status the same way, so adding a model only means adding it here.
+// Models are only loaded once a feature that needs them is turned on (see isNeeded) and are
+// paused, not run, while nothing needs them.
+const ML5_MODELS = {
+    faceMesh: {
+        label: 'Face Mesh',
+        create: (onReady) => createFaceMeshModel(onReady),
+        get: () => faceMesh,
+        set: (model) => { faceMesh = model; },
+        handleResults: (results) => handleFaceResults(results),
+        kind: 'faces',
+        isNeeded: () => isFaceMeshNeeded()
+    },
+    handPose: {
+        label: 'Hand Pose',
+        create: (onReady) => ml5.handPose(video, {
+            maxHands: 2,  // Realistic limit - typically 2 hands per person
+            flipHorizontal: true
+        }, onReady),
+        get: () => handPose,
+        set: (model) => { handPose = model; },
+        handleResults: (results) => handleHandResults(results),
+        kind: 'hands',
+        isNeeded: () => isHandPoseNeeded()
+    },
+    bodyPose: {
+        label: 'Body Pose',
+        create: (onReady) => createBodyPoseModel(onReady),
+        get: () => bodyPose,
+        set: (model) => { bodyPose = model; },
+        handleResults: (results) => handleBodyResults(results),
+        kind: 'bodies',
+        isNeeded: () => isBodyPoseNeeded()
+    }
+};
+
 function initializeML5Models() {
     console.log("🚀 Starting ML5 model initialization...");
-    updateStatus("🤖 Loading Face Mesh...");
     
+    let names = Object.keys(ML5_MODELS).filter(name => ML5_MODELS[name].isNeeded());
+    let totalModels = names.length;
     let modelsLoaded = 0;
-    const totalModels = 2;
+    
+    // Nothing to load yet, models load as soon as a feature needs them
+    if (totalModels === 0) {
+        updateStatus("💤 No models needed yet, turn on a feature to load one");
+        startPredictionLoop();
+        return;
+    }
     
     function checkAllModelsLoaded() {
         modelsLoaded++;
@@ -272,196 +998,851 @@ function initializeML5Models() {
         if (modelsLoaded >= totalModels) {
             updateStatus("🎯 All models ready! Starting predictions...");
             startPredictionLoop();
+        } else {
+            updateStatus(`🤖 Loading models (${modelsLoaded}/${totalModels})...`);
         }
     }
     
+    updateStatus(`🤖 Loading ${names.map(name => ML5_MODELS[name].label).join(', ')}...`);
+    for (let name of names) {
+        loadML5Model(name, checkAllModelsLoaded);
+    }
+    
+    // Fallback: Start prediction loop after 5 seconds even if not all models load
+    setTimeout(() => {
+        if (modelsLoaded < totalModels) {
+            console.log("⚠️ Not all models loaded, starting anyway...");
+            updateStatus("⚠️ Some models failed, starting with available ones...");
+            startPredictionLoop();
+        }
+    }, 5000);
+}
+
+function loadML5Model(name, onReady) {
+    let entry = ML5_MODELS[name];
+    console.log(`Initializing ${entry.label}...`);
+    setModelState(name, 'loading');
+    
     try {
-        // Initialize Face Mesh - v1.2.1 API
-        console.log("Initializing Face Mesh...");
-        faceMesh = ml5.faceMesh(video, {
-            maxFaces: 1,  // Realistic limit - most models optimized for 1 face
-            refineLandmarks: true,
-            flipHorizontal: true
-        }, () => {
-            console.log("✅ Face Mesh ready!");
-            updateStatus("🤖 Loading Hand Pose...");
-            checkAllModelsLoaded();
-        });
-        
-        // Initialize Hand Pose - v1.2.1 API
-        console.log("Initializing Hand Pose...");
-        handPose = ml5.handPose(video, {
-            maxHands: 2,  // Realistic limit - typically 2 hands per person
-            flipHorizontal: true
-        }, () => {
-            console.log("✅ Hand Pose ready!");
-            checkAllModelsLoaded();
+        let model = entry.create(() => {
+            // The model may have been unloaded or replaced while it was loading
+            if (entry.get() !== model) return;
+            
+            console.log(`✅ ${entry.label} ready!`);
+            setModelState(name, entry.isNeeded() ? 'running' : 'paused');
+            onReady();
         });
+        entry.set(model);
         
-        // Fallback: Start prediction loop after 5 seconds even if not all models load
+        // Most load failures (e.g. a model file that can't be downloaded) happen after create()
+        // returns, and then the ready callback never comes
+        if (model && model.ready && typeof model.ready.catch === 'function') {
+            model.ready.catch(error => failML5Model(name, model, error));
+        }
         setTimeout(() => {
-            if (modelsLoaded < totalModels) {
-                console.log("⚠️ Not all models loaded, starting anyway...");
-                updateStatus("⚠️ Some models failed, starting with available ones...");
-                startPredictionLoop();
+            if (modelStates[name] === 'loading') {
+                failML5Model(name, model, new Error(`Still loading after ${MODEL_LOAD_TIMEOUT / 1000} seconds`));
             }
-        }, 5000);
-        
+        }, MODEL_LOAD_TIMEOUT);
     } catch (error) {
-        console.error("Error initializing ML5 models:", error);
-        updateStatus("❌ Error loading ML5 models. Try refreshing page.");
+        console.error(`Error initializing ${entry.label}:`, error);
+        updateStatus(`❌ Error loading ${entry.label}. Try refreshing page.`);
+        setModelState(name, 'error');
     }
 }
 
-// Correct prediction approach for ML5 v1.2.1
-function startPredictionLoop() {
-    console.log("🔄 Starting prediction loop with detectMedia...");
+// The model is dropped, turning its features off and on again tries loading it again
+function failML5Model(name, model, error) {
+    let entry = ML5_MODELS[name];
+    if (entry.get() !== model) return; // Already unloaded or replaced
     
-    // First, let's inspect what's actually available
-    function inspectModels() {
-        console.log("=== MODEL INSPECTION ===");
-        
-        if (faceMesh) {
-            console.log("FaceMesh object:", faceMesh);
-            console.log("FaceMesh.detectMedia type:", typeof faceMesh.detectMedia);
-            console.log("FaceMesh.detect type:", typeof faceMesh.detect);
-            console.log("FaceMesh.predict type:", typeof faceMesh.predict);
-            console.log("FaceMesh.ready:", faceMesh.ready);
-        }
-        
-        if (handPose) {
-            console.log("HandPose object:", handPose);
-            console.log("HandPose.detectMedia type:", typeof handPose.detectMedia);
-            console.log("HandPose.detect type:", typeof handPose.detect);
-            console.log("HandPose.predict type:", typeof handPose.predict);
-            console.log("HandPose.ready:", handPose.ready);
-        }
-        
-        console.log("Video element:", video);
-        console.log("Video.elt:", video.elt);
-        console.log("=== END INSPECTION ===");
+    console.error(`Error loading ${entry.label}:`, error);
+    updateStatus(`❌ Error loading ${entry.label}. Check your connection and try again.`);
+    entry.set(null);
+    setModelState(name, 'error');
+}
+
+// Frees a model's memory. It is loaded again the next time a feature needs it.
+function unloadML5Model(name) {
+    let entry = ML5_MODELS[name];
+    let model = entry.get();
+    if (!model) return;
+    
+    entry.set(null);
+    setModelState(name, null);
+    clearModelResults(name);
+    
+    // Free the old model's memory if this version of ML5 allows it
+    if (model.model && typeof model.model.dispose === 'function') {
+        model.model.dispose();
     }
+    console.log(`🗑️ ${entry.label} unloaded`);
+}
+
+function unloadPausedModels() {
+    let paused = Object.keys(ML5_MODELS).filter(name => modelStates[name] === 'paused');
+    paused.forEach(unloadML5Model);
+    updateStatus(paused.length > 0 ? `🗑️ Unloaded ${paused.length} paused model${paused.length > 1 ? 's' : ''}` : "💤 No paused models to unload");
+}
+
+// Detections from a model that stops running leave straight away instead of staying on screen
+function clearModelResults(name) {
+    let entry = ML5_MODELS[name];
+    resetTracking(entry.kind);
+    entry.handleResults([]);
+}
+
+// Called every frame: loads models that a feature now needs and pauses the ones nothing needs
+function updateModelStates() {
+    if (!ml5Initialized || isReplaying) return;
     
-    function runDetections() {
-        console.log("🔄 Running detection cycle...");
+    for (let name in ML5_MODELS) {
+        let entry = ML5_MODELS[name];
+        let needed = entry.isNeeded();
+        let state = modelStates[name];
         
-        // Inspect models first time
-        if (!runDetections.inspected) {
-            inspectModels();
-            runDetections.inspected = true;
+        if (needed && !entry.get() && state !== 'error') {
+            updateStatus(`🤖 Loading ${entry.label}...`);
+            loadML5Model(name, () => {
+                updateStatus(`🎯 ${entry.label} ready!`);
+                startPredictionLoop(); // Does nothing if the loop is already running
+            });
+        } else if (needed && state === 'paused') {
+            setModelState(name, 'running');
+        } else if (!needed && state === 'running') {
+            setModelState(name, 'paused');
+            clearModelResults(name);
+        } else if (!needed && state === 'error') {
+            setModelState(name, null); // Turning a feature on again retries the model
         }
-        
-        // Try multiple detection methods for Face Mesh
-        if (faceMesh) {
-            console.log("Trying face detection...");
-            
-            // Method 1: detectMedia
-            if (typeof faceMesh.detectMedia === 'function' && video.elt) {
-                console.log("Trying detectMedia...");
-                try {
-                    faceMesh.detectMedia(video.elt, (results) => {
-                        console.log("Face detectMedia callback:", results);
-                        if (results && results.length > 0) {
-                            faces = results;
-                            console.log("✅ Face results via detectMedia:", results.length);
-                        }
-                    });
-                } catch (error) {
-                    console.error("Face detectMedia error:", error);
-                }
+    }
+}
+
+function setModelState(name, state) {
+    // Rates are measured again from scratch when a model runs again
+    if (state !== 'running') {
+        delete detectionStats[name];
+    }
+    
+    if (state) {
+        modelStates[name] = state;
+    } else {
+        delete modelStates[name];
+    }
+    updateModelStatusDisplay();
+}
+
+// Some settings can only be chosen when a model is created, so changing them means a new model
+function reloadML5Model(name) {
+    let entry = ML5_MODELS[name];
+    if (!ml5Initialized || !entry.get()) return;
+    
+    console.log(`Reloading ${entry.label}...`);
+    unloadML5Model(name);
+    if (entry.isNeeded()) {
+        updateStatus(`🤖 Reloading ${entry.label}...`);
+        loadML5Model(name, () => updateStatus(`🎯 ${entry.label} ready!`));
+    }
+}
+
+// DETECTION SCHEDULER
+
+// Video elements need a decoded frame, image sequence frames are ready once loaded
+function isInputFrameReady() {
+    return video && video.elt && video.loadedmetadata && !(video.elt.readyState < 2);
+}
+
+function getDetectionStats(name) {
+    return detectionStats[name] || (detectionStats[name] = {
+        current: null,
+        nextDue: 0,
+        inferenceTime: 0,
+        fps: 0,
+        lastFinished: 0
+    });
+}
+
+// The running model that has been waiting longest past its due time, or null
+function getNextDueModel(now) {
+    let next = null;
+    for (let name in ML5_MODELS) {
+        if (modelStates[name] !== 'running' || !ML5_MODELS[name].get()) continue;
+        
+        let stats = getDetectionStats(name);
+        if (now >= stats.nextDue && (next === null || stats.nextDue < detectionStats[next].nextDue)) {
+            next = name;
+        }
+    }
+    return next;
+}
+
+function finishDetection(name, started) {
+    let stats = detectionStats[name];
+    let now = millis();
+    
+    // Averaged so the rate doesn't jump around with every detection
+    let inferenceTime = now - started;
+    stats.inferenceTime = stats.inferenceTime ? lerp(stats.inferenceTime, inferenceTime, 0.2) : inferenceTime;
+    if (stats.lastFinished) {
+        let fps = 1000 / max(now - stats.lastFinished, 1);
+        stats.fps = stats.fps ? lerp(stats.fps, fps, 0.2) : fps;
+    }
+    stats.lastFinished = now;
+    stats.current = null;
+    stats.nextDue = started + getDetectionInterval(name);
+    
+    if (now - lastModelStatusUpdate > 500) {
+        lastModelStatusUpdate = now;
+        updateModelStatusDisplay();
+    }
+}
+
+// How long the scheduler can sleep (ms): until the next model is due, or while a detection
+// runs, until it times out (its answer wakes the scheduler sooner)
+function getSchedulerDelay(now) {
+    if (!isInputFrameReady() || isReplaying) return SCHEDULER_IDLE_TICK;
+    
+    let wakeAt = now + SCHEDULER_IDLE_TICK;
+    let busyName = Object.keys(detectionStats).find(name => detectionStats[name].current);
+    if (busyName) {
+        wakeAt = min(wakeAt, detectionStats[busyName].current.started + DETECTION_TIMEOUT);
+    } else {
+        for (let name in ML5_MODELS) {
+            if (modelStates[name] === 'running' && ML5_MODELS[name].get()) {
+                wakeAt = min(wakeAt, getDetectionStats(name).nextDue);
             }
-            
-            // Method 2: detect
-            else if (typeof faceMesh.detect === 'function' && video.elt) {
-                console.log("Trying detect...");
-                try {
-                    faceMesh.detect(video.elt, (results) => {
-                        console.log("Face detect callback:", results);
-                        if (results && results.length > 0) {
-                            faces = results;
-                            console.log("✅ Face results via detect:", results.length);
-                        }
-                    });
-                } catch (error) {
-                    console.error("Face detect error:", error);
-                }
+        }
+    }
+    return max(wakeAt - now, 0);
+}
+
+// Time between the starts of two detections of a model (ms)
+function getDetectionInterval(name) {
+    let interval = 1000 / detectionTargetFps[name];
+    
+    if (adaptiveDetectionRate) {
+        // Slow models run less often, so all running models together stay within the budget
+        let running = Object.keys(ML5_MODELS).filter(model => modelStates[model] === 'running').length;
+        interval = max(interval, detectionStats[name].inferenceTime * running / DETECTION_BUDGET);
+    }
+    return interval;
+}
+
+// MODEL NEEDS
+
+// The data stream values are only computed while something shows, records or sends them
+function isDataStreamInUse() {
+    return showDataStream || showDataOnVisualization || isRecordingDataStream || networkOutputEnabled;
+}
+
+function isDataStreamOptionInUse(options) {
+    return isDataStreamInUse() && options.some(option => dataStreamOptions[option]);
+}
+
+// Whether an enabled trigger rule, sound or MIDI mapping reads one of this model's
+// conditions or signals
+function isModelUsedBySources(name) {
+    let sources = [];
+    for (let rule of triggerRules) {
+        if (rule.enabled) sources = sources.concat(rule.conditions);
+    }
+    if (audioEnabled) {
+        sources = sources.concat(audioMappings.map(mapping => mapping.source));
+        sources = sources.concat(sampleTriggers.map(trigger => trigger.condition));
+    }
+    if (midiEnabled) {
+        sources = sources.concat(midiMappings.map(mapping => mapping.source));
+    }
+    return sources.some(source => getSourceModel(source) === name);
+}
+
+function getSourceModel(source) {
+    let entry = SIGNAL_SOURCES[source] || RULE_CONDITIONS[source];
+    return entry ? entry.model : null;
+}
+
+function isFaceMeshNeeded() {
+    return showFace || showFacePixelation || showFaceMasks || winkTriggerEnabled || mouthTextTriggerEnabled || showGazeCursor ||
+        calibrationWizard !== null || gazeCalibrationWizard !== null || midiLearnState !== null ||
+        isDataStreamOptionInUse(['mouthOpen', 'leftEyeOpen', 'rightEyeOpen', 'noseCenter', 'expressionScores', 'eyeEvents', 'headOrientation', 'gaze']) ||
+        isModelUsedBySources('faceMesh');
+}
+
+function isHandPoseNeeded() {
+    return showHands || showFingertipDrawing || wristCircleTriggerEnabled || gestureTriggerEnabled ||
+        motionTriggerEnabled || isRecordingGestureSamples || gestureTrainingState === 'trained' ||
+        calibrationWizard !== null || midiLearnState !== null ||
+        isDataStreamOptionInUse(['wristPosition', 'handOpen', 'fingertipPositions', 'handGestures', 'motionGestures']) ||
+        isModelUsedBySources('handPose');
+}
+
+function isBodyPoseNeeded() {
+    return showBody || bodyPoseTriggerEnabled ||
+        isDataStreamOptionInUse(['bodyShoulders', 'bodyElbows', 'bodyHips', 'bodyKnees']) ||
+        isModelUsedBySources('bodyPose');
+}
+
+function createBodyPoseModel(onReady) {
+    return ml5.bodyPose(bodyModelName, {
+        flipHorizontal: true
+    }, onReady);
+}
+
+function createFaceMeshModel(onReady) {
+    return ml5.faceMesh(video, {
+        maxFaces: maxFaces,  // Set with the Max Faces slider, more faces cost more CPU
+        refineLandmarks: true,
+        flipHorizontal: true
+    }, onReady);
+}
+
+// Correct prediction approach for ML5 v1.2.1
+function startPredictionLoop() {
+    // The loop must only run once, even when the fallback timer and the last model both start it
+    if (predictionLoopStarted) return;
+    predictionLoopStarted = true;
+    
+    console.log("🔄 Starting prediction loop...");
+    
+    // First, let's inspect what's actually available
+    function inspectModels() {
+        console.log("=== MODEL INSPECTION ===");
+        
+        if (faceMesh) {
+            console.log("FaceMesh object:", faceMesh);
+            console.log("FaceMesh.detectMedia type:", typeof faceMesh.detectMedia);
+            console.log("FaceMesh.detect type:", typeof faceMesh.detect);
+            console.log("FaceMesh.predict type:", typeof faceMesh.predict);
+            console.log("FaceMesh.ready:", faceMesh.ready);
+        }
+        
+        if (handPose) {
+            console.log("HandPose object:", handPose);
+            console.log("HandPose.detectMedia type:", typeof handPose.detectMedia);
+            console.log("HandPose.detect type:", typeof handPose.detect);
+            console.log("HandPose.predict type:", typeof handPose.predict);
+            console.log("HandPose.ready:", handPose.ready);
+        }
+        
+        if (bodyPose) {
+            console.log("BodyPose object:", bodyPose);
+        }
+        
+        console.log("Video element:", video);
+        console.log("Video.elt:", video.elt);
+        console.log("=== END INSPECTION ===");
+    }
+    
+    // Only starts a detection when the previous one has finished and a model is due, so
+    // detections never pile up. Due models take turns, most overdue first. In between it
+    // sleeps until the next model is due or a detection answers.
+    function runScheduler() {
+        schedulerTimer = null;
+        if (isInputFrameReady() && !isReplaying) {
+            // Inspect models first time
+            if (!runScheduler.inspected) {
+                inspectModels();
+                runScheduler.inspected = true;
             }
             
-            // Method 3: predict
-            else if (typeof faceMesh.predict === 'function' && video.elt) {
-                console.log("Trying predict...");
-                try {
-                    faceMesh.predict(video.elt, (results) => {
-                        console.log("Face predict callback:", results);
-                        if (results && results.length > 0) {
-                            faces = results;
-                            console.log("✅ Face results via predict:", results.length);
-                        }
-                    });
-                } catch (error) {
-                    console.error("Face predict error:", error);
-                }
+            let now = millis();
+            let busyName = Object.keys(detectionStats).find(name => detectionStats[name].current);
+            if (busyName && now - detectionStats[busyName].current.started > DETECTION_TIMEOUT) {
+                console.warn(`⚠️ ${ML5_MODELS[busyName].label} detection timed out`);
+                detectionStats[busyName].current = null;
+                busyName = null;
             }
             
-            else {
-                console.log("No working face detection method found");
+            if (!busyName) {
+                let name = getNextDueModel(now);
+                if (name) detectWithModel(name);
             }
         }
         
-        // Try multiple detection methods for Hand Pose
-        if (handPose) {
-            console.log("Trying hand detection...");
-            
-            if (typeof handPose.detectMedia === 'function' && video.elt) {
-                try {
-                    handPose.detectMedia(video.elt, (results) => {
-                        if (results && results.length > 0) {
-                            hands = results;
-                            console.log("✅ Hand results via detectMedia:", results.length);
-                        }
-                    });
-                } catch (error) {
-                    console.error("Hand detectMedia error:", error);
-                }
-            }
-            else if (typeof handPose.detect === 'function' && video.elt) {
-                try {
-                    handPose.detect(video.elt, (results) => {
-                        if (results && results.length > 0) {
-                            hands = results;
-                            console.log("✅ Hand results via detect:", results.length);
-                        }
-                    });
-                } catch (error) {
-                    console.error("Hand detect error:", error);
-                }
-            }
-            else if (typeof handPose.predict === 'function' && video.elt) {
-                try {
-                    handPose.predict(video.elt, (results) => {
-                        if (results && results.length > 0) {
-                            hands = results;
-                            console.log("✅ Hand results via predict:", results.length);
-                        }
-                    });
-                } catch (error) {
-                    console.error("Hand predict error:", error);
+        clearTimeout(schedulerTimer); // In case a detection answered straight away and woke it already
+        schedulerTimer = setTimeout(runScheduler, getSchedulerDelay(millis()));
+    }
+    
+    // A finished detection lets the next due model start straight away
+    function wakeScheduler() {
+        clearTimeout(schedulerTimer);
+        schedulerTimer = setTimeout(runScheduler, 0);
+    }
+    
+    // Try multiple detection methods, different ML5 versions have used different names
+    function detectWithModel(name) {
+        let entry = ML5_MODELS[name];
+        let model = entry.get();
+        let method = ['detectMedia', 'detect', 'predict'].find(method => typeof model[method] === 'function');
+        if (!method) {
+            // Dropping the model lets turning its features off and on again retry it
+            failML5Model(name, model, new Error(`No working ${entry.label} detection method found`));
+            return;
+        }
+        
+        let stats = getDetectionStats(name);
+        let detection = { started: millis() };
+        stats.current = detection;
+        
+        console.log(`Trying ${entry.label} ${method}...`);
+        try {
+            model[method](video.elt, (results) => {
+                console.log(`${entry.label} ${method} callback:`, results);
+                
+                // Ignore answers that timed out or arrive after the model was paused or unloaded
+                if (detectionStats[name] !== stats || stats.current !== detection) return;
+                finishDetection(name, detection.started);
+                wakeScheduler();
+                
+                entry.handleResults(results || []); // Empty results too, so tracked detections can leave
+                if (results && results.length > 0) {
+                    console.log(`✅ ${entry.label} results via ${method}:`, results.length);
                 }
+            });
+        } catch (error) {
+            console.error(`${entry.label} ${method} error:`, error);
+            finishDetection(name, detection.started);
+        }
+    }
+    
+    // No blind startup delay, the scheduler waits until the input has a frame and a model is running
+    console.log("🎬 Starting detection scheduler...");
+    runScheduler();
+}
+
+// DETECTION RESULT HANDLING
+
+// Every detection result passes through here, whether it comes from ML5 or a session replay
+function handleFaceResults(results) {
+    recordSessionEvent('faces', results); // Sessions keep the raw detections
+    rawFaces = trackDetections('faces', results);
+    faces = smoothDetections('faces', rawFaces);
+    pushDetectionHistory('faces', faces);
+    updateEyeEvents(rawFaces); // Unsmoothed, smoothing would blur short blinks away
+    updateHeadGestures(rawFaces);
+}
+
+function handleHandResults(results) {
+    recordSessionEvent('hands', results);
+    rawHands = trackDetections('hands', results);
+    hands = smoothDetections('hands', rawHands);
+    pushDetectionHistory('hands', hands);
+    updateMotionGestures(hands);
+}
+
+function handleBodyResults(results) {
+    recordSessionEvent('bodies', results);
+    rawBodies = trackDetections('bodies', results);
+    bodies = smoothDetections('bodies', rawBodies);
+    pushDetectionHistory('bodies', bodies);
+}
+
+// IDENTITY TRACKING
+
+// Gives every face and hand an id that stays the same while it is in view. Each detection
+// is matched to the closest track, predicting where the track has moved since it was last
+// seen. A track that isn't found keeps its last detection for TRACK_DROPOUT_TIME so a
+// missed frame doesn't make it flicker or come back with a new id.
+function trackDetections(kind, results) {
+    let state = trackingState[kind];
+    let now = millis();
+    let pairs = [];
+    
+    results.forEach((detection, i) => {
+        let center = getDetectionCenter(detection);
+        if (!center) return;
+        state.tracks.forEach((track, j) => {
+            let elapsed = now - track.lastSeen;
+            let predictedX = track.center.x + track.velocity.x * elapsed;
+            let predictedY = track.center.y + track.velocity.y * elapsed;
+            let distance = dist(center.x, center.y, predictedX, predictedY);
+            
+            // Handedness sometimes flips for a frame, so a different hand only counts against the match
+            if (detection.handedness && track.detection.handedness &&
+                detection.handedness !== track.detection.handedness) {
+                distance += track.size / 2;
             }
-            else {
-                console.log("No working hand detection method found");
+            
+            // Only the same face or hand if it moved less than about its own width
+            if (distance < track.size) {
+                pairs.push({ detection: i, track: j, distance: distance });
             }
+        });
+    });
+    
+    // Closest pairs first, each detection and each track used once
+    pairs.sort((a, b) => a.distance - b.distance);
+    let matchedDetections = new Set();
+    let matchedTracks = new Set();
+    for (let pair of pairs) {
+        if (matchedDetections.has(pair.detection) || matchedTracks.has(pair.track)) continue;
+        matchedDetections.add(pair.detection);
+        matchedTracks.add(pair.track);
+        updateTrack(state.tracks[pair.track], results[pair.detection], now);
+    }
+    
+    // Tracks that weren't found leave once they've been missing for too long
+    state.tracks = state.tracks.filter((track, j) => {
+        if (matchedTracks.has(j) || now - track.lastSeen <= TRACK_DROPOUT_TIME) return true;
+        emitTrackingEvent('leave', state.label, track);
+        return false;
+    });
+    
+    // Detections that didn't match any track are new arrivals
+    results.forEach((detection, i) => {
+        if (matchedDetections.has(i) || !getDetectionCenter(detection)) return;
+        let track = {
+            id: state.nextId++,
+            center: getDetectionCenter(detection),
+            size: getDetectionSize(detection),
+            velocity: { x: 0, y: 0 },
+            lastSeen: now,
+            detection: detection
+        };
+        detection.id = track.id;
+        state.tracks.push(track);
+        emitTrackingEvent('enter', state.label, track);
+    });
+    
+    // Missing tracks are still reported with their last detection, ordered by id so
+    // hands[0] is always the hand that has been in view the longest
+    return state.tracks
+        .slice()
+        .sort((a, b) => a.id - b.id)
+        .map(track => track.detection);
+}
+
+function updateTrack(track, detection, now) {
+    let center = getDetectionCenter(detection);
+    let elapsed = now - track.lastSeen;
+    if (elapsed > 0) {
+        track.velocity = {
+            x: (center.x - track.center.x) / elapsed,
+            y: (center.y - track.center.y) / elapsed
+        };
+    }
+    
+    track.center = center;
+    track.size = getDetectionSize(detection);
+    track.lastSeen = now;
+    track.detection = detection;
+    detection.id = track.id;
+}
+
+// Forget every track, e.g. when a replay restarts. Everything that was in view leaves.
+// Everything leaves, or only one kind, e.g. resetTracking('hands')
+function resetTracking(onlyKind) {
+    for (let kind of onlyKind ? [onlyKind] : Object.keys(trackingState)) {
+        let state = trackingState[kind];
+        for (let track of state.tracks) {
+            emitTrackingEvent('leave', state.label, track);
         }
+        state.tracks = [];
+    }
+}
+
+// Run your own code when a face or hand comes into view or leaves, for example:
+// onTrackingEvent('enter', event => console.log(`${event.kind} ${event.id} arrived`));
+// The event has: type ('enter' or 'leave'), kind ('face' or 'hand'), id, time and detection
+function onTrackingEvent(type, callback) {
+    trackingListeners[type].push(callback);
+}
+
+function emitTrackingEvent(type, kind, track) {
+    let event = { type: type, kind: kind, id: track.id, time: millis(), detection: track.detection };
+    
+    trackingEvents.push(event);
+    if (trackingEvents.length > 8) trackingEvents.shift();
+    
+    for (let callback of trackingListeners[type]) {
+        callback(event);
+    }
+    
+    // Events are sent as they happen rather than with the next frame
+    if (networkOutputEnabled) {
+        sendNetworkMessage({
+            type: 'tracking',
+            timestamp: Date.now(),
+            event: { type: type, kind: kind, id: track.id },
+            osc: [{ address: `${networkSettings.oscPrefix}/${kind}/${type}`, args: [track.id] }]
+        });
+    }
+}
+
+// Center of a face or hand bounding box from its landmarks
+function getDetectionCenter(detection) {
+    if (!detection.keypoints || detection.keypoints.length === 0) return null;
+    let bounds = getKeypointBounds(detection.keypoints);
+    return { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 };
+}
+
+function getDetectionSize(detection) {
+    if (!detection.keypoints || detection.keypoints.length === 0) return 0;
+    let bounds = getKeypointBounds(detection.keypoints);
+    return max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+}
+
+function getKeypointBounds(keypoints) {
+    let bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    for (let point of keypoints) {
+        bounds.minX = min(bounds.minX, point.x);
+        bounds.minY = min(bounds.minY, point.y);
+        bounds.maxX = max(bounds.maxX, point.x);
+        bounds.maxY = max(bounds.maxY, point.y);
+    }
+    return bounds;
+}
+
+// LANDMARK SMOOTHING
+
+// Returns copies of the detections with filtered keypoints. Only keypoints are
+// smoothed, named parts like face.lips still hold the raw values.
+function smoothDetections(kind, results) {
+    if (!smoothingEnabled) {
+        landmarkFilters[kind] = {};
+        return results;
+    }
+    
+    let time = millis() / 1000;
+    let strength = smoothingStrength[kind];
+    
+    let activeFilters = {};
+    let smoothed = results.map((result, i) => {
+        if (!result.keypoints) return result;
         
-        // Continue the loop after a delay
-        setTimeout(runDetections, 100); // Much faster - 10 FPS detection
+        // Filters follow the detection's id so they don't mix up two faces that swap order
+        let key = getDetectionKey(result, i);
+        let filters = landmarkFilters[kind][key] || [];
+        activeFilters[key] = filters;
+        
+        let keypoints = result.keypoints.map((point, k) => {
+            let filter = filters[k] || (filters[k] = createPointFilter());
+            return Object.assign({}, point, filter(point, time, strength));
+        });
+        return Object.assign({}, result, { keypoints: keypoints });
+    });
+    
+    // Filters for detections that disappeared are dropped
+    landmarkFilters[kind] = activeFilters;
+    return smoothed;
+}
+
+function resetLandmarkFilters() {
+    landmarkFilters = { faces: {}, hands: {}, bodies: {} };
+}
+
+// Detections with an id are matched by id, the others by their position in the array
+function getDetectionKey(detection, index) {
+    return detection.id !== undefined ? `id${detection.id}` : `index${index}`;
+}
+
+// One filter per coordinate, using the currently selected method
+function createPointFilter() {
+    let filters = {
+        x: createValueFilter(smoothingMethod),
+        y: createValueFilter(smoothingMethod),
+        z: createValueFilter(smoothingMethod)
+    };
+    
+    return function(point, time, strength) {
+        let filtered = {
+            x: filters.x(point.x, time, strength),
+            y: filters.y(point.y, time, strength)
+        };
+        if (typeof point.z === 'number') {
+            filtered.z = filters.z(point.z, time, strength);
+        }
+        return filtered;
+    };
+}
+
+function createValueFilter(method) {
+    switch (method) {
+        case 'ema':
+            return createEmaFilter();
+        case 'kalman':
+            return createKalmanFilter();
+        default:
+            return createOneEuroFilter();
     }
+}
+
+// Exponential moving average: each new value only moves the output part of the way
+function createEmaFilter() {
+    let previous = null;
     
-    // Add a small delay before starting to ensure video is ready
-    setTimeout(() => {
-        console.log("🎬 Starting detection loop...");
-        runDetections();
-    }, 2000);
+    return function(value, time, strength) {
+        let alpha = lerp(1, 0.1, strength);
+        previous = previous === null ? value : previous + alpha * (value - previous);
+        return previous;
+    };
+}
+
+// One Euro filter (Casiez et al. 2012): heavy smoothing when still, little lag when moving fast
+function createOneEuroFilter() {
+    const derivativeCutoff = 1; // Hz
+    const beta = 0.01; // How quickly the cutoff rises with speed (per px/s)
+    let previous = null;
+    let previousDerivative = 0;
+    let previousTime = 0;
+    
+    let smoothingFactor = (cutoff, elapsed) => {
+        let tau = 1 / (TWO_PI * cutoff);
+        return 1 / (1 + tau / elapsed);
+    };
+    
+    return function(value, time, strength) {
+        if (previous === null || time <= previousTime) {
+            previous = value;
+            previousTime = time;
+            return value;
+        }
+        
+        let elapsed = time - previousTime;
+        let derivative = (value - previous) / elapsed;
+        let derivativeAlpha = smoothingFactor(derivativeCutoff, elapsed);
+        previousDerivative += derivativeAlpha * (derivative - previousDerivative);
+        
+        let minCutoff = lerp(10, 0.3, strength); // Hz
+        let cutoff = minCutoff + beta * abs(previousDerivative);
+        previous += smoothingFactor(cutoff, elapsed) * (value - previous);
+        previousTime = time;
+        return previous;
+    };
+}
+
+// Constant-velocity Kalman filter, tracks position and speed so it lags less than an average
+function createKalmanFilter() {
+    const measurementNoise = 4; // Variance of the landmark jitter (px squared)
+    let position = null;
+    let velocity = 0;
+    let covariance = [[1, 0], [0, 1]];
+    let previousTime = 0;
+    
+    return function(value, time, strength) {
+        if (position === null || time <= previousTime) {
+            position = value;
+            previousTime = time;
+            return value;
+        }
+        
+        let dt = time - previousTime;
+        previousTime = time;
+        
+        // How much the speed may change between detections, lower is smoother
+        let processNoise = pow(10, lerp(8, 3, strength));
+        
+        // Predict
+        position += velocity * dt;
+        let [[p00, p01], [p10, p11]] = covariance;
+        p00 += dt * (p10 + p01) + dt * dt * p11 + processNoise * pow(dt, 4) / 4;
+        p01 += dt * p11 + processNoise * pow(dt, 3) / 2;
+        p10 += dt * p11 + processNoise * pow(dt, 3) / 2;
+        p11 += processNoise * dt * dt;
+        
+        // Correct with the new measurement
+        let innovation = value - position;
+        let gainPosition = p00 / (p00 + measurementNoise);
+        let gainVelocity = p10 / (p00 + measurementNoise);
+        position += gainPosition * innovation;
+        velocity += gainVelocity * innovation;
+        covariance = [
+            [(1 - gainPosition) * p00, (1 - gainPosition) * p01],
+            [p10 - gainVelocity * p00, p11 - gainVelocity * p01]
+        ];
+        return position;
+    };
+}
+
+function drawRawLandmarks() {
+    push();
+    noStroke();
+    fill(255, 255, 255, 120);
+    
+    let detections = [];
+    if (showFace) detections = detections.concat(rawFaces);
+    if (showHands) detections = detections.concat(rawHands);
+    if (showBody) detections = detections.concat(rawBodies);
+    
+    for (let detection of detections) {
+        for (let point of detection.keypoints || []) {
+            ellipse(point.x, point.y, 3, 3);
+        }
+    }
+    pop();
+}
+
+// INTERPOLATED RENDERING
+
+function pushDetectionHistory(kind, results) {
+    let history = detectionHistory[kind];
+    history.push({ time: millis(), results: results });
+    if (history.length > 2) history.shift();
+}
+
+// Called every frame from draw(), replaces faces/hands with positions for this frame
+function updateRenderedLandmarks() {
+    let now = millis();
+    
+    if (interpolationEnabled) {
+        faces = getRenderedDetections('faces', now);
+        hands = getRenderedDetections('hands', now);
+        bodies = getRenderedDetections('bodies', now);
+    }
+    
+    // Report the latency of whichever model has detected something
+    let history = detectionHistory.faces.length > 0 ? detectionHistory.faces : detectionHistory.hands;
+    if (history.length === 0) {
+        renderLatency = 0;
+        return;
+    }
+    
+    let age = now - history[history.length - 1].time;
+    let interval = history.length === 2 ? history[1].time - history[0].time : 0;
+    if (!interpolationEnabled || interval === 0) {
+        renderLatency = age;
+    } else if (interpolationMode === 'interpolate') {
+        renderLatency = max(age, interval); // Drawing one detection interval in the past
+    } else {
+        renderLatency = max(age - interval, 0); // Predicting at most one interval ahead
+    }
+}
+
+function getRenderedDetections(kind, now) {
+    let history = detectionHistory[kind];
+    if (history.length < 2) {
+        return history.length > 0 ? history[0].results : [];
+    }
+    
+    let [previous, latest] = history;
+    let interval = latest.time - previous.time;
+    if (interval <= 0) return latest.results;
+    
+    // 0-1 moves from the previous to the latest detection, above 1 continues with the same velocity
+    let t = (now - latest.time) / interval;
+    t = interpolationMode === 'interpolate' ? constrain(t, 0, 1) : constrain(1 + t, 1, 2);
+    
+    return latest.results.map((result, i) => {
+        let key = getDetectionKey(result, i);
+        let before = previous.results.find((candidate, j) => getDetectionKey(candidate, j) === key);
+        if (!before || !before.keypoints || !result.keypoints ||
+            before.keypoints.length !== result.keypoints.length) {
+            return result;
+        }
+        
+        let keypoints = result.keypoints.map((point, k) => {
+            let start = before.keypoints[k];
+            let rendered = Object.assign({}, point, {
+                x: lerp(start.x, point.x, t),
+                y: lerp(start.y, point.y, t)
+            });
+            if (typeof point.z === 'number' && typeof start.z === 'number') {
+                rendered.z = lerp(start.z, point.z, t);
+            }
+            return rendered;
+        });
+        return Object.assign({}, result, { keypoints: keypoints });
+    });
 }
 
 // ML5 DRAWING FUNCTIONS
@@ -505,6 +1886,12 @@ function drawFaceMesh() {
                 centerY /= validPoints;
             }
             
+            // The other render styles join the keypoints up with the mesh triangles or regions
+            if (faceRenderStyle !== 'points' && keypoints[0].x !== undefined) {
+                drawFaceMeshStyle(keypoints, centerX, centerY);
+                continue;
+            }
+            
             // Second pass: draw points with radial viridis coloring
             for (let point of keypoints) {
                 let x, y;
@@ -520,18 +1907,7 @@ function drawFaceMesh() {
                     continue; // Skip this point if we can't understand it
                 }
                 
-                // Calculate distance from center for radial coloring
-                let distance = dist(x, y, centerX, centerY);
-                let maxDistance = dist(0, 0, width/2, height/2); // Maximum possible distance
-                let normalizedDistance = constrain(distance / maxDistance, 0, 1); // Must be 0-1 for getViridisColor
-                
-                // Apply a curve to make blue colors appear sooner
-                // This will make the gradient transition to blue faster
-                let adjustedDistance = pow(normalizedDistance, 0.2); // Even smaller exponent = much more blue
-                
-                // Viridis color mapping (from dark blue to yellow)
-                let viridisColor = getViridisColor(adjustedDistance);
-                fill(viridisColor);
+                fill(getFaceMeshColor(x, y, centerX, centerY));
                 
                 // Draw consistent sized dots for face landmarks
                 ellipse(x, y, pointSize, pointSize);
@@ -542,30 +1918,144 @@ function drawFaceMesh() {
     }
 }
 
-function drawHands() {
-    if (!hands || hands.length === 0) return;
+// Radial viridis color for a point on the face, from dark blue at the center to yellow
+function getFaceMeshColor(x, y, centerX, centerY) {
+    // Calculate distance from center for radial coloring
+    let distance = dist(x, y, centerX, centerY);
+    let maxDistance = dist(0, 0, width/2, height/2); // Maximum possible distance
+    let normalizedDistance = constrain(distance / maxDistance, 0, 1); // Must be 0-1 for getViridisColor
     
-    console.log("Drawing", hands.length, "hands");
+    // Apply a curve to make blue colors appear sooner
+    // This will make the gradient transition to blue faster
+    let adjustedDistance = pow(normalizedDistance, 0.2); // Even smaller exponent = much more blue
     
-    for (let hand of hands) {
-        if (hand.keypoints && hand.keypoints.length > 0) {
-            console.log("Hand has", hand.keypoints.length, "keypoints");
-            
-            // Draw hand landmarks
-            fill(COLORS.hands);
-            noStroke();
-            
-            for (let keypoint of hand.keypoints) {
-                let x = keypoint.x; // ML5 flipHorizontal: true already flipped these
-                let y = keypoint.y;
-                
-                // Draw consistent sized dots for hand landmarks
-                ellipse(x, y, pointSize, pointSize);
+    // Viridis color mapping (from dark blue to yellow)
+    return getViridisColor(adjustedDistance);
+}
+
+function drawFaceMeshStyle(keypoints, centerX, centerY) {
+    push();
+    switch (faceRenderStyle) {
+        case 'wireframe':
+            noFill();
+            strokeWeight(1);
+            for (let [a, b, c] of getFaceMeshTriangles(keypoints)) {
+                let middle = getTriangleCenter(a, b, c);
+                stroke(getFaceMeshColor(middle.x, middle.y, centerX, centerY));
+                triangle(a.x, a.y, b.x, b.y, c.x, c.y);
             }
-            
-            // Draw hand connections
-            stroke(COLORS.hands);
-            strokeWeight(lineThickness);
+            break;
+        case 'filled':
+            strokeWeight(0.5); // Outlining each triangle in its own color hides the seams
+            for (let [a, b, c] of getFaceMeshTriangles(keypoints, true)) {
+                let middle = getTriangleCenter(a, b, c);
+                let fillColor = getFaceMeshColor(middle.x, middle.y, centerX, centerY);
+                fill(fillColor);
+                stroke(fillColor);
+                triangle(a.x, a.y, b.x, b.y, c.x, c.y);
+            }
+            break;
+        case 'contours':
+            noFill();
+            stroke(COLORS.face);
+            strokeWeight(2);
+            for (let name in FACE_REGIONS) {
+                drawFaceRegionOutline(keypoints, name);
+            }
+            break;
+        case 'regions':
+            // Each feature filled in its own color, with its landmarks as dots on top
+            strokeWeight(1.5);
+            for (let name in FACE_REGIONS) {
+                let regionColor = color(FACE_REGION_COLORS[name] || COLORS.face);
+                stroke(regionColor);
+                regionColor.setAlpha(name === 'faceOval' ? 40 : 120);
+                fill(regionColor);
+                drawFaceRegionOutline(keypoints, name);
+            }
+            noStroke();
+            for (let name in FACE_REGIONS) {
+                fill(FACE_REGION_COLORS[name] || COLORS.face);
+                for (let point of getRegionPoints(keypoints, name)) {
+                    ellipse(point.x, point.y, pointSize * 0.6, pointSize * 0.6);
+                }
+            }
+            break;
+    }
+    pop();
+}
+
+// The mesh triangles as keypoint triples, optionally without the ones facing away from the camera
+function getFaceMeshTriangles(keypoints, frontOnly = false) {
+    if (keypoints.length < 468) return [];
+    
+    let facing = getFaceFacing(keypoints);
+    let triangles = [];
+    for (let triangle of FACE_MESH_TRIANGLES) {
+        let [a, b, c] = triangle.map(index => keypoints[index]);
+        if (!a || !b || !c) continue;
+        if (frontOnly && !isTriangleFacingCamera(a, b, c, facing)) continue;
+        triangles.push([a, b, c]);
+    }
+    return triangles;
+}
+
+// The triangles wind the other way when the video isn't mirrored
+function getFaceFacing(keypoints) {
+    return keypoints[33].x > keypoints[263].x ? 1 : -1;
+}
+
+function isTriangleFacingCamera(a, b, c, facing) {
+    return ((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x)) * facing > 0;
+}
+
+function getTriangleCenter(a, b, c) {
+    return { x: (a.x + b.x + c.x) / 3, y: (a.y + b.y + c.y) / 3 };
+}
+
+// Irises are drawn as circles, the other regions as closed shapes through their outline
+function drawFaceRegionOutline(keypoints, name) {
+    let points = getRegionPoints(keypoints, name);
+    if (points.length < 3) return;
+    
+    if (name === 'leftIris' || name === 'rightIris') {
+        let center = getKeypointsCenter(points);
+        let radius = points.reduce((sum, point) => sum + dist(point.x, point.y, center.x, center.y), 0) / points.length;
+        ellipse(center.x, center.y, radius * 2, radius * 2);
+        return;
+    }
+    
+    beginShape();
+    for (let point of points) {
+        vertex(point.x, point.y);
+    }
+    endShape(CLOSE);
+}
+
+function drawHands() {
+    if (!hands || hands.length === 0) return;
+    
+    console.log("Drawing", hands.length, "hands");
+    
+    for (let hand of hands) {
+        if (hand.keypoints && hand.keypoints.length > 0) {
+            console.log("Hand has", hand.keypoints.length, "keypoints");
+            
+            // Draw hand landmarks
+            fill(COLORS.hands);
+            noStroke();
+            
+            for (let keypoint of hand.keypoints) {
+                let x = keypoint.x; // ML5 flipHorizontal: true already flipped these
+                let y = keypoint.y;
+                
+                // Draw consistent sized dots for hand landmarks
+                ellipse(x, y, pointSize, pointSize);
+            }
+            
+            // Draw hand connections
+            stroke(COLORS.hands);
+            strokeWeight(lineThickness);
             drawHandConnections(hand.keypoints);
             
             // Draw hand label
@@ -582,48 +2072,279 @@ function drawHands() {
     }
 }
 
-// FACE PIXELATION FUNCTION
+function drawBodies() {
+    for (let body of bodies) {
+        if (!body.keypoints) continue;
+        
+        // Skeleton lines between the keypoints the model is confident about
+        stroke(COLORS.body);
+        strokeWeight(lineThickness * 2);
+        for (let [from, to] of BODY_CONNECTIONS) {
+            let a = getBodyPart(body, from);
+            let b = getBodyPart(body, to);
+            if (a && b) {
+                line(a.x, a.y, b.x, b.y);
+            }
+        }
+        
+        fill(COLORS.body);
+        noStroke();
+        for (let keypoint of body.keypoints) {
+            if (isBodyKeypointVisible(keypoint)) {
+                ellipse(keypoint.x, keypoint.y, pointSize * 2, pointSize * 2);
+            }
+        }
+        
+        // Label above the head
+        let nose = getBodyPart(body, 'nose');
+        if (nose && bodies.length > 1) {
+            textAlign(CENTER);
+            textSize(12);
+            text(`Body ${body.id}`, nose.x, nose.y - 40);
+        }
+    }
+}
 
-function drawFacePixelation() {
-    if (!faces || faces.length === 0 || !video || !video.loadedmetadata) return;
+// 3D VIEW
+
+// Face and hands drawn in 3D using their z coordinates. Without rotation the points line up
+// with the video; drag to orbit around the first face or hand, scroll to zoom.
+function draw3DView() {
+    let g = getScene3D();
+    g.clear();
     
-    // Get the first detected face
-    let face = faces[0];
-    if (!face || !face.keypoints) return;
+    g.push();
+    setup3DLighting(g);
     
-    // Find face bounding box from landmarks
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-    
-    // Use more comprehensive face outline landmarks for better tracking
-    // These are key MediaPipe face mesh landmarks that form the face contour
-    let faceOutlineIndices = [
-        10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288, 397, 365, 379, 378, 400, 377, 152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109,
-        // Add more landmarks for better coverage
-        151, 108, 67, 103, 54, 21, 162, 127, 234, 93, 132, 58, 172, 136, 150, 149, 176, 148, 152, 377, 400, 378, 379, 365, 397, 288, 361, 323, 454, 356, 389, 251, 284, 332, 297, 338,
-        // Add forehead and chin landmarks
-        336, 296, 334, 293, 300, 276, 283, 282, 295, 285, 417, 465, 357, 454, 323, 361, 288, 397, 365, 379, 378, 400, 377, 152, 148, 176, 149, 150, 136, 172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109
-    ];
+    // Orbit around the first detection so it stays in place while rotating
+    let first = (showFace && faces[0]) || (showHands && hands[0]);
+    let pivot = (first && getDetectionCenter(first)) || { x: width / 2, y: height / 2 };
+    g.translate(pivot.x - width / 2, pivot.y - height / 2, 0);
+    g.rotateX(view3D.rotationX);
+    g.rotateY(view3D.rotationY);
+    g.scale(view3D.zoom);
+    g.translate(-pivot.x, -pivot.y, 0);
+    
+    if (showFace) {
+        for (let face of faces) {
+            drawFace3D(g, face);
+        }
+    }
+    if (showHands) {
+        for (let hand of hands) {
+            drawHand3D(g, hand);
+        }
+    }
+    g.pop();
     
-    // Count valid landmarks found
-    let validLandmarks = 0;
+    image(g, 0, 0);
+}
+
+function getScene3D() {
+    if (!scene3D || scene3D.width !== width || scene3D.height !== height) {
+        if (scene3D) scene3D.remove();
+        scene3D = createGraphics(width, height, WEBGL);
+    }
+    return scene3D;
+}
+
+function setup3DLighting(g) {
+    if (lightingMode === 'soft') {
+        g.ambientLight(160);
+        g.directionalLight(120, 120, 120, 0.2, 0.4, -1);
+    } else if (lightingMode === 'directional') {
+        g.ambientLight(50);
+        g.directionalLight(255, 255, 255, 0.6, 0.5, -0.6);
+    }
+}
+
+// ML5 z points away from the camera, WEBGL z points towards it
+function to3DPoint(point, z) {
+    return { x: point.x, y: point.y, z: -z };
+}
+
+// With depth coloring the nearest point (lowest z) is red, going through yellow to blue for the
+// farthest, since getViridisColor() uses a red-yellow-blue palette despite its name.
+// Otherwise the usual color.
+function getDepthColor(z, range, fallback) {
+    if (!depthColoring) return color(fallback);
+    return getViridisColor(range.max > range.min ? (z - range.min) / (range.max - range.min) : 0.5);
+}
+
+function getDepthRange(values) {
+    return { min: min(values), max: max(values) };
+}
+
+function drawFace3D(g, face) {
+    let keypoints = face.keypoints;
+    if (!keypoints || keypoints.length < 468) return;
     
-    for (let index of faceOutlineIndices) {
-        if (face.keypoints[index]) {
-            let point = face.keypoints[index];
-            minX = min(minX, point.x);
-            minY = min(minY, point.y);
-            maxX = max(maxX, point.x);
-            maxY = max(maxY, point.y);
-            validLandmarks++;
+    let depths = keypoints.map(point => point.z || 0);
+    let range = getDepthRange(depths);
+    let points = keypoints.map((point, i) => to3DPoint(point, depths[i]));
+    let colors = depths.map(z => getDepthColor(z, range, COLORS.face));
+    
+    if (render3DStyle === 'mesh' || render3DStyle === 'meshPoints') {
+        // The triangles wind the other way when the video isn't mirrored
+        let facing = keypoints[33].x > keypoints[263].x ? 1 : -1;
+        
+        g.noStroke();
+        g.beginShape(TRIANGLES);
+        for (let triangle of FACE_MESH_TRIANGLES) {
+            let [a, b, c] = triangle.map(index => points[index]);
+            if (!a || !b || !c) continue;
+            
+            // One normal per triangle gives the faceted look under lighting
+            let normal = normalizeVector(crossVectors(subtractPoints(b, a), subtractPoints(c, a)));
+            if (normal) g.normal(normal.x * facing, normal.y * facing, normal.z * facing);
+            for (let index of triangle) {
+                g.fill(colors[index]);
+                g.vertex(points[index].x, points[index].y, points[index].z);
+            }
         }
+        g.endShape();
+    }
+    
+    if (render3DStyle === 'points' || render3DStyle === 'meshPoints') {
+        g.strokeWeight(pointSize);
+        points.forEach((point, i) => {
+            g.stroke(render3DStyle === 'meshPoints' ? color(255) : colors[i]);
+            g.point(point.x, point.y, point.z);
+        });
+    }
+}
+
+// Hand keypoints are flat, their depth comes from keypoints3D (in meters) scaled to pixels
+function getHandDepths(hand) {
+    let points3D = hand.keypoints3D;
+    if (!points3D || points3D.length !== hand.keypoints.length) {
+        return hand.keypoints.map(point => point.z || 0);
+    }
+    
+    let size2D = getLandmarkDistance(hand.keypoints[0], hand.keypoints[9]); // Wrist to middle finger base
+    let size3D = getPointDistance(points3D[0], points3D[9]);
+    let scale = size3D > 0 ? size2D / size3D : 0;
+    return points3D.map(point => (point.z || 0) * scale);
+}
+
+function drawHand3D(g, hand) {
+    if (!hand.keypoints || hand.keypoints.length < 21) return;
+    
+    let depths = getHandDepths(hand);
+    let range = getDepthRange(depths);
+    let points = hand.keypoints.map((point, i) => to3DPoint(point, depths[i]));
+    let colors = depths.map(z => getDepthColor(z, range, COLORS.hands));
+    
+    // Bones colored by their average depth
+    g.strokeWeight(lineThickness * 2);
+    for (let [from, to] of HAND_CONNECTIONS) {
+        g.stroke(getDepthColor((depths[from] + depths[to]) / 2, range, COLORS.hands));
+        g.line(points[from].x, points[from].y, points[from].z, points[to].x, points[to].y, points[to].z);
+    }
+    
+    // Joints as spheres so the lighting shows their shape
+    g.noStroke();
+    points.forEach((point, i) => {
+        g.push();
+        g.translate(point.x, point.y, point.z);
+        g.fill(colors[i]);
+        g.sphere(pointSize, 8, 6);
+        g.pop();
+    });
+}
+
+// Orbit controls, only while the 3D view is on and the mouse is over the canvas
+function isMouseOverCanvas() {
+    return mouseX >= 0 && mouseX <= width && mouseY >= 0 && mouseY <= height;
+}
+
+function mousePressed() {
+    view3D.dragging = render3D && isMouseOverCanvas();
+}
+
+function mouseReleased() {
+    view3D.dragging = false;
+}
+
+function mouseDragged() {
+    if (!view3D.dragging) return;
+    view3D.rotationY += movedX * 0.01;
+    view3D.rotationX = constrain(view3D.rotationX - movedY * 0.01, -HALF_PI, HALF_PI);
+}
+
+function mouseWheel(event) {
+    if (!render3D || !isMouseOverCanvas()) return;
+    view3D.zoom = constrain(view3D.zoom * (event.delta > 0 ? 0.9 : 1.1), 0.3, 4);
+    return false; // Don't scroll the page
+}
+
+function doubleClicked() {
+    if (render3D && isMouseOverCanvas()) {
+        reset3DView();
+    }
+}
+
+function reset3DView() {
+    view3D.rotationX = 0;
+    view3D.rotationY = 0;
+    view3D.zoom = 1;
+}
+
+// FACE REGIONS
+// Named landmark groups (FACE_REGIONS in face-mesh-data.js) for code that needs a face feature
+// rather than single keypoints, e.g. pixelation uses the face oval and the labels use the eyes.
+
+// The keypoints of a region in outline order, skipping any the model didn't return
+function getRegionPoints(keypoints, name) {
+    let region = FACE_REGIONS[name];
+    if (!region || !keypoints) return [];
+    return region.outline.map(index => keypoints[index]).filter(point => point);
+}
+
+function getFaceRegionPoints(face, name) {
+    return getRegionPoints(face && face.keypoints, name);
+}
+
+function getFaceRegionCenter(face, name) {
+    let points = getFaceRegionPoints(face, name);
+    return points.length > 0 ? getKeypointsCenter(points) : null;
+}
+
+function getFaceRegionBounds(face, name) {
+    let points = getFaceRegionPoints(face, name);
+    return points.length > 0 ? getKeypointBounds(points) : null;
+}
+
+function getKeypointsCenter(points) {
+    let total = points.reduce((sum, point) => ({ x: sum.x + point.x, y: sum.y + point.y }), { x: 0, y: 0 });
+    return { x: total.x / points.length, y: total.y / points.length };
+}
+
+// FACE PIXELATION FUNCTION
+
+function drawFacePixelation() {
+    if (!faces || faces.length === 0 || !video || !video.loadedmetadata) return;
+    
+    // Pixelate every detected face
+    for (let face of faces) {
+        drawFacePixelationForFace(face);
     }
+}
+
+function drawFacePixelationForFace(face) {
+    if (!face || !face.keypoints) return;
+    
+    // Find face bounding box from the face oval landmarks
+    let outline = getFaceRegionPoints(face, 'faceOval');
     
     // Only proceed if we have enough valid landmarks
-    if (validLandmarks < 10) {
-        console.log("Not enough face landmarks for pixelation:", validLandmarks);
+    if (outline.length < 10) {
+        console.log("Not enough face landmarks for pixelation:", outline.length);
         return;
     }
     
+    let { minX, minY, maxX, maxY } = getKeypointBounds(outline);
+    
     // Add generous padding around the face for better coverage
     let padding = 40;
     minX = max(0, minX - padding);
@@ -668,6 +2389,7 @@ function drawFacePixelation() {
             }
         }
         pop();
+        faceBuffer.remove(); // A new buffer is made every frame, free this one
         
         // Debug: Draw face bounding box (optional - comment out for production)
         // push();
@@ -681,60 +2403,232 @@ function drawFacePixelation() {
     }
 }
 
-// FINGERTIP DRAWING FUNCTION
+// FACE MASKS
+// Images drawn on top of faces, listed in masks/masks.json:
+//   { "masks": [{ "name": "Glasses", "image": "glasses.svg", "anchor": "eyes", "width": 1.6 }, ...] }
+// Image masks sit on their anchor, tilt with the eye line and scale with the eye corner distance:
+// width, offsetX and offsetY are in eye corner distances (negative offsetY is up), rotation in degrees.
+// Masks with "type": "face" wrap their image around the face mesh instead, using FACE_MESH_UVS,
+// so the image has to be drawn in face texture space (see masks/face-paint.svg).
 
-function drawFingertipDrawing() {
-    if (!hands || hands.length === 0) return;
-    
-    // Get all fingertip positions
-    let allFingertips = getAllFingertipPositions();
+// Anchors as keypoints whose middle is used. An anchor can also be a FACE_REGIONS name (its center)
+// or an array of keypoint indices.
+const MASK_ANCHORS = {
+    eyes: [33, 263],    // Middle of the eye line, for glasses
+    forehead: [10],     // Top of the face oval, for hats
+    noseTip: [1],
+    upperLip: [164, 0], // Between the nose and the upper lip, for moustaches
+    chin: [152]
+};
+
+function drawFaceMasks() {
+    if (!faces || faces.length === 0) return;
     
-    // Check if any fingertip is close to the screen (indicating drawing intent)
-    let anyFingerDrawing = false;
-    let drawingFinger = null;
+    let enabledMasks = faceMasks.filter(mask => mask.enabled && mask.img);
+    let textureMasks = enabledMasks.filter(mask => mask.type === 'face');
+    let imageMasks = enabledMasks.filter(mask => mask.type !== 'face');
     
-    for (let handIndex = 0; handIndex < allFingertips.length; handIndex++) {
-        let handTips = allFingertips[handIndex];
-        if (handTips) {
-            for (let fingerIndex = 0; fingerIndex < handTips.length; fingerIndex++) {
-                if (handTips[fingerIndex]) {
-                    let tip = handTips[fingerIndex];
-                    
-                    // Check if finger is extended and in drawing position
-                    // We'll use the index finger (fingerIndex 1) as the primary drawing finger
-                    if (fingerIndex === 1 && isFingerExtended(hands[handIndex], fingerIndex)) {
-                        anyFingerDrawing = true;
-                        drawingFinger = tip;
-                        break;
-                    }
-                }
+    // Texture mapping needs WEBGL, so these are drawn in their own buffer first
+    if (textureMasks.length > 0) {
+        let g = getMaskBuffer();
+        g.clear();
+        g.push();
+        g.translate(-width / 2, -height / 2); // Same coordinates as the canvas
+        g.noStroke();
+        g.textureMode(NORMAL);
+        for (let face of faces) {
+            for (let mask of textureMasks) {
+                drawFaceTextureMask(g, face, mask);
             }
         }
+        g.pop();
+        image(g, 0, 0);
     }
     
-    // Handle drawing state
-    if (anyFingerDrawing && drawingFinger) {
-        if (!isDrawing) {
-            // Start new path
-            isDrawing = true;
-            currentPath = [];
+    for (let face of faces) {
+        for (let mask of imageMasks) {
+            drawImageMask(face, mask);
         }
+    }
+}
+
+function drawImageMask(face, mask) {
+    let anchor = getMaskAnchor(face, mask.anchor);
+    let scale = getFaceScale(face);
+    if (!anchor || !scale) return;
+    
+    let maskWidth = mask.width * scale;
+    let maskHeight = maskWidth * mask.img.height / mask.img.width;
+    
+    push();
+    translate(anchor.x, anchor.y);
+    rotate(getEyeLineAngle(face) + radians(mask.rotation));
+    translate(mask.offsetX * scale, mask.offsetY * scale); // Offsets turn with the head
+    imageMode(CENTER);
+    tint(255, mask.opacity * 255);
+    image(mask.img, 0, 0, maskWidth, maskHeight);
+    pop();
+}
+
+// Only the triangles facing the camera are drawn, so a turned head doesn't show the far side
+function drawFaceTextureMask(g, face, mask) {
+    let keypoints = face.keypoints;
+    if (!keypoints || keypoints.length < FACE_MESH_UVS.length) return;
+    
+    let facing = getFaceFacing(keypoints);
+    g.tint(255, mask.opacity * 255);
+    g.texture(mask.img);
+    g.beginShape(TRIANGLES);
+    for (let triangle of FACE_MESH_TRIANGLES) {
+        let [a, b, c] = triangle.map(index => keypoints[index]);
+        if (!isTriangleFacingCamera(a, b, c, facing)) continue;
         
-        // Add point to current path
-        currentPath.push({
-            x: drawingFinger.x,
-            y: drawingFinger.y,
-            timestamp: millis()
-        });
+        for (let index of triangle) {
+            let [u, v] = FACE_MESH_UVS[index];
+            g.vertex(keypoints[index].x, keypoints[index].y, 0, u, v);
+        }
+    }
+    g.endShape();
+}
+
+function getMaskBuffer() {
+    if (!maskBuffer || maskBuffer.width !== width || maskBuffer.height !== height) {
+        if (maskBuffer) maskBuffer.remove();
+        maskBuffer = createGraphics(width, height, WEBGL);
+    }
+    return maskBuffer;
+}
+
+function getMaskAnchor(face, anchor) {
+    if (typeof anchor === 'string' && FACE_REGIONS[anchor]) {
+        return getFaceRegionCenter(face, anchor);
+    }
+    
+    let indices = Array.isArray(anchor) ? anchor : MASK_ANCHORS[anchor] || MASK_ANCHORS.eyes;
+    let points = indices.map(index => face.keypoints[index]).filter(point => point);
+    return points.length > 0 ? getKeypointsCenter(points) : null;
+}
+
+// Angle of the line through the outer eye corners, left to right on the canvas
+function getEyeLineAngle(face) {
+    let [from, to] = getFaceFacing(face.keypoints) > 0 ? [263, 33] : [33, 263];
+    let a = face.keypoints[from];
+    let b = face.keypoints[to];
+    return atan2(b.y - a.y, b.x - a.x);
+}
+
+// masks/masks.json next to index.html, if it exists
+function loadFaceMasks() {
+    renderFaceMaskList();
+    fetch(MASKS_FOLDER + MASKS_FILE)
+        .then(response => response.ok ? response.json() : null)
+        .then(data => {
+            if (data && Array.isArray(data.masks)) {
+                setFaceMasks(data.masks, name => MASKS_FOLDER + name);
+                console.log(`Loaded ${data.masks.length} face masks from ${MASKS_FOLDER + MASKS_FILE}`);
+            }
+        })
+        .catch(() => {}); // No masks folder, or the page was opened from a file
+}
+
+// A folder picked in the controls, with a masks.json and the images it names
+function loadFaceMaskFolder(files) {
+    files = Array.from(files);
+    let configFile = files.find(file => file.name === MASKS_FILE);
+    if (!configFile) {
+        updateStatus(`❌ No ${MASKS_FILE} found in that folder`);
+        return;
+    }
+    
+    maskFileUrls.forEach(url => URL.revokeObjectURL(url));
+    let urls = {};
+    for (let file of files) {
+        urls[file.name] = URL.createObjectURL(file);
+    }
+    maskFileUrls = Object.values(urls);
+    
+    configFile.text().then(text => {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            data = null;
+        }
         
-    } else {
-        if (isDrawing) {
-            // Finish current path
-            if (currentPath.length > 0) {
-                drawingPaths.push([...currentPath]);
+        if (!data || !Array.isArray(data.masks)) {
+            updateStatus(`❌ Could not read ${MASKS_FILE}`);
+            return;
+        }
+        
+        setFaceMasks(data.masks, name => urls[name.split('/').pop()]);
+        updateStatus(`🎭 Loaded ${faceMasks.length} face masks`);
+    });
+}
+
+function setFaceMasks(configs, getImageUrl) {
+    faceMasks = configs.map(normalizeFaceMask);
+    
+    for (let mask of faceMasks) {
+        let url = getImageUrl(mask.image);
+        if (!url) {
+            updateStatus(`❌ Mask image not found: ${mask.image}`);
+            continue;
+        }
+        loadImage(url, img => {
+            mask.img = img;
+        }, () => updateStatus(`❌ Could not load mask image ${mask.image}`));
+    }
+    renderFaceMaskList();
+}
+
+function normalizeFaceMask(config) {
+    return {
+        name: String(config.name || config.image || 'Mask'),
+        image: String(config.image || ''),
+        type: config.type === 'face' ? 'face' : 'image',
+        anchor: config.anchor || 'eyes',
+        width: Number(config.width) || 1,
+        offsetX: Number(config.offsetX) || 0,
+        offsetY: Number(config.offsetY) || 0,
+        rotation: Number(config.rotation) || 0,
+        opacity: config.opacity !== undefined ? constrain(Number(config.opacity), 0, 1) : 1,
+        enabled: config.enabled !== false,
+        img: null
+    };
+}
+
+function renderFaceMaskList() {
+    document.getElementById('faceMaskList').innerHTML = faceMasks.map((mask, i) => `
+        <label class="checkbox" data-mask="${i}">
+            <input type="checkbox"${mask.enabled ? ' checked' : ''}>
+            <span class="checkbox-label">${escapeHtml(mask.name)}</span>
+        </label>`).join('') || '<p class="hint">No masks loaded</p>';
+}
+
+// FINGERTIP DRAWING FUNCTION
+
+function drawFingertipDrawing() {
+    if (!hands || hands.length === 0) return;
+    
+    // Each hand draws its own path with its index finger (fingerIndex 1) while it is extended
+    let drawingFingers = [];
+    
+    for (let hand of hands) {
+        let tip = hand.keypoints ? hand.keypoints[8] : null; // Index finger tip
+        
+        if (tip && isFingerExtended(hand, 1)) {
+            // Start a new path or add to this hand's current path
+            if (!currentPaths[hand.id]) {
+                currentPaths[hand.id] = [];
             }
-            isDrawing = false;
-            currentPath = [];
+            currentPaths[hand.id].push({
+                x: tip.x,
+                y: tip.y,
+                timestamp: millis()
+            });
+            drawingFingers.push(tip);
+        } else {
+            finishDrawingPath(hand.id);
         }
     }
     
@@ -753,28 +2647,38 @@ function drawFingertipDrawing() {
         }
     }
     
-    // Draw current path
-    if (currentPath.length > 1) {
-        beginShape();
-        for (let point of currentPath) {
-            vertex(point.x, point.y);
+    // Draw the paths being drawn right now
+    for (let id in currentPaths) {
+        let path = currentPaths[id];
+        if (path.length > 1) {
+            beginShape();
+            for (let point of path) {
+                vertex(point.x, point.y);
+            }
+            endShape();
         }
-        endShape();
     }
     
-    // Draw fingertip indicator
-    if (drawingFinger) {
-        // Use different colors for draw vs erase mode
-        let indicatorColor = drawingColor; // Always use selected color for indicator
-        fill(indicatorColor);
-        noStroke();
-        ellipse(drawingFinger.x, drawingFinger.y, 10, 10);
+    // Draw fingertip indicators
+    fill(drawingColor); // Always use selected color for indicator
+    noStroke();
+    for (let finger of drawingFingers) {
+        ellipse(finger.x, finger.y, 10, 10);
     }
     
     // Reset stroke
     noStroke();
 }
 
+// Move a hand's current path to the finished paths (when its finger bends or the hand leaves)
+function finishDrawingPath(handId) {
+    let path = currentPaths[handId];
+    if (path && path.length > 0) {
+        drawingPaths.push(path);
+    }
+    delete currentPaths[handId];
+}
+
 // Helper function to check if a finger is extended
 function isFingerExtended(hand, fingerIndex) {
     if (!hand || !hand.keypoints) return false;
@@ -803,8 +2707,7 @@ function isFingerExtended(hand, fingerIndex) {
 // Function to clear all fingertip drawings
 function clearFingertipDrawing() {
     drawingPaths = [];
-    currentPath = [];
-    isDrawing = false;
+    currentPaths = {};
 }
 
 // DATA STREAM FUNCTIONS
@@ -812,55 +2715,106 @@ function clearFingertipDrawing() {
 function updateDataStreamPanel() {
     let contentHtml = '';
     
-    // Extract and display data based on enabled options
-    if (dataStreamOptions.mouthOpen) {
-        let mouthOpen = isMouthOpen();
-        contentHtml += `<div class="data-item"><strong>Mouth Open:</strong> ${mouthOpen}</div>`;
-    }
-    
-    if (dataStreamOptions.leftEyeOpen) {
-        let leftEyeOpen = isLeftEyeOpen();
-        contentHtml += `<div class="data-item"><strong>Left Eye Open:</strong> ${leftEyeOpen}</div>`;
-    }
-    
-    if (dataStreamOptions.rightEyeOpen) {
-        let rightEyeOpen = isRightEyeOpen();
-        contentHtml += `<div class="data-item"><strong>Right Eye Open:</strong> ${rightEyeOpen}</div>`;
+    // Extract and display data based on enabled options, face data is listed per face
+    let faceOptionSelected = dataStreamOptions.mouthOpen || dataStreamOptions.leftEyeOpen ||
+        dataStreamOptions.rightEyeOpen || dataStreamOptions.noseCenter || dataStreamOptions.expressionScores ||
+        dataStreamOptions.eyeEvents || dataStreamOptions.headOrientation;
+    if (faceOptionSelected && faces.length === 0) {
+        contentHtml += `<div class="data-item"><strong>Face:</strong> Not detected</div>`;
     }
     
-    if (dataStreamOptions.noseCenter) {
-        let nosePos = getNoseCenter();
-        if (nosePos) {
-            contentHtml += `<div class="data-item"><strong>Nose Center:</strong> (${nosePos.x.toFixed(1)}, ${nosePos.y.toFixed(1)})</div>`;
-        } else {
-            contentHtml += `<div class="data-item"><strong>Nose Center:</strong> Not detected</div>`;
+    for (let face of faces) {
+        let label = `Face ${face.id}`;
+        
+        if (dataStreamOptions.mouthOpen) {
+            let mouthOpen = isMouthOpen(face);
+            contentHtml += `<div class="data-item"><strong>${label} Mouth Open:</strong> ${mouthOpen}</div>`;
         }
-    }
-    
-    if (dataStreamOptions.wristPosition) {
-        let wrists = getWristPositions();
-        for (let i = 0; i < wrists.length; i++) {
-            if (wrists[i]) {
-                contentHtml += `<div class="data-item"><strong>Wrist ${i + 1}:</strong> (${wrists[i].x.toFixed(1)}, ${wrists[i].y.toFixed(1)})</div>`;
+        
+        if (dataStreamOptions.leftEyeOpen) {
+            let leftEyeOpen = isLeftEyeOpen(face);
+            contentHtml += `<div class="data-item"><strong>${label} Left Eye Open:</strong> ${leftEyeOpen}</div>`;
+        }
+        
+        if (dataStreamOptions.rightEyeOpen) {
+            let rightEyeOpen = isRightEyeOpen(face);
+            contentHtml += `<div class="data-item"><strong>${label} Right Eye Open:</strong> ${rightEyeOpen}</div>`;
+        }
+        
+        if (dataStreamOptions.noseCenter) {
+            let nosePos = getNoseCenter(face);
+            if (nosePos) {
+                contentHtml += `<div class="data-item"><strong>${label} Nose Center:</strong> (${nosePos.x.toFixed(1)}, ${nosePos.y.toFixed(1)})</div>`;
             } else {
-                contentHtml += `<div class="data-item"><strong>Wrist ${i + 1}:</strong> Not detected</div>`;
+                contentHtml += `<div class="data-item"><strong>${label} Nose Center:</strong> Not detected</div>`;
             }
         }
-    }
-    
-    if (dataStreamOptions.handOpen) {
-        let handsOpen = getHandsOpenStatus();
-        for (let i = 0; i < handsOpen.length; i++) {
-            contentHtml += `<div class="data-item"><strong>Hand ${i + 1} Open:</strong> ${handsOpen[i]}</div>`;
+        
+        if (dataStreamOptions.eyeEvents && eyeEventStates[face.id]) {
+            let counts = eyeEventStates[face.id].counts;
+            contentHtml += `<div class="data-item"><strong>${label} Blinks:</strong> ${counts.blink} ` +
+                `(${getBlinksPerMinute(face.id).toFixed(0)}/min), Left Winks: ${counts.leftWink}, Right Winks: ${counts.rightWink}</div>`;
         }
-    }
-    
-    if (dataStreamOptions.fingertipPositions) {
+        
+        if (dataStreamOptions.headOrientation) {
+            let pose = getHeadPose(face);
+            if (pose) {
+                contentHtml += `<div class="data-item"><strong>${label} Head:</strong> Yaw ${pose.yaw.toFixed(0)}°, ` +
+                    `Pitch ${pose.pitch.toFixed(0)}°, Roll ${pose.roll.toFixed(0)}°</div>`;
+            }
+        }
+        
+        if (dataStreamOptions.gaze) {
+            let gaze = getGaze(face);
+            if (gaze) {
+                contentHtml += `<div class="data-section"><strong>${label} Gaze:</strong> (${gaze.x.toFixed(2)}, ${gaze.y.toFixed(2)}) ${gaze.region}</div>`;
+                for (let side of ['left', 'right']) {
+                    let iris = gaze[`${side}Iris`];
+                    let eye = gaze[`${side}Eye`];
+                    contentHtml += `<div class="data-subitem">${side === 'left' ? 'Left' : 'Right'} Iris: (${iris.x.toFixed(1)}, ${iris.y.toFixed(1)}), ` +
+                        `direction (${eye.x.toFixed(2)}, ${eye.y.toFixed(2)})</div>`;
+                }
+            }
+        }
+        
+        if (dataStreamOptions.expressionScores) {
+            let scores = getExpressionScores(face);
+            if (scores) {
+                contentHtml += `<div class="data-section"><strong>${label} Expression Scores:</strong></div>`;
+                for (let name in scores) {
+                    let percent = (scores[name] * 100).toFixed(0);
+                    contentHtml += `<div class="data-subitem">${EXPRESSION_LABELS[name]}: ${scores[name].toFixed(2)}` +
+                        `<div class="data-bar"><div class="data-bar-fill" style="width: ${percent}%"></div></div></div>`;
+                }
+            }
+        }
+    }
+    
+    // Hands are labelled with their tracked id, so the labels don't swap when hands cross
+    if (dataStreamOptions.wristPosition) {
+        let wrists = getWristPositions();
+        for (let i = 0; i < wrists.length; i++) {
+            if (wrists[i]) {
+                contentHtml += `<div class="data-item"><strong>Wrist ${hands[i].id}:</strong> (${wrists[i].x.toFixed(1)}, ${wrists[i].y.toFixed(1)})</div>`;
+            } else {
+                contentHtml += `<div class="data-item"><strong>Wrist ${hands[i].id}:</strong> Not detected</div>`;
+            }
+        }
+    }
+    
+    if (dataStreamOptions.handOpen) {
+        let handsOpen = getHandsOpenStatus();
+        for (let i = 0; i < handsOpen.length; i++) {
+            contentHtml += `<div class="data-item"><strong>Hand ${hands[i].id} Open:</strong> ${handsOpen[i]}</div>`;
+        }
+    }
+    
+    if (dataStreamOptions.fingertipPositions) {
         let fingertips = getAllFingertipPositions();
         for (let handIndex = 0; handIndex < fingertips.length; handIndex++) {
             let handTips = fingertips[handIndex];
             if (handTips) {
-                contentHtml += `<div class="data-section"><strong>Hand ${handIndex + 1} Fingertips:</strong></div>`;
+                contentHtml += `<div class="data-section"><strong>Hand ${hands[handIndex].id} Fingertips:</strong></div>`;
                 const fingerNames = ['Thumb', 'Index', 'Middle', 'Ring', 'Pinky'];
                 for (let i = 0; i < handTips.length; i++) {
                     if (handTips[i]) {
@@ -871,6 +2825,84 @@ function updateDataStreamPanel() {
         }
     }
     
+    // Body keypoints, left and right for each selected part
+    const bodyParts = { bodyShoulders: 'shoulder', bodyElbows: 'elbow', bodyHips: 'hip', bodyKnees: 'knee' };
+    for (let option in bodyParts) {
+        if (!dataStreamOptions[option]) continue;
+        if (bodies.length === 0) {
+            contentHtml += `<div class="data-item"><strong>Body:</strong> Not detected</div>`;
+            break;
+        }
+        
+        let part = bodyParts[option];
+        for (let body of bodies) {
+            contentHtml += `<div class="data-section"><strong>Body ${body.id} ${part[0].toUpperCase() + part.slice(1)}s:</strong></div>`;
+            for (let side of ['left', 'right']) {
+                let point = getBodyPart(body, `${side}_${part}`);
+                let position = point ? `(${point.x.toFixed(1)}, ${point.y.toFixed(1)})` : 'Not visible';
+                contentHtml += `<div class="data-subitem">${side === 'left' ? 'Left' : 'Right'}: ${position}</div>`;
+            }
+        }
+    }
+    
+    if (dataStreamOptions.handGestures) {
+        for (let result of getHandGestures()) {
+            contentHtml += `<div class="data-item"><strong>Hand ${result.id} Gestures:</strong> ${getGestureLabels(result).join(', ')}</div>`;
+        }
+    }
+    
+    if (dataStreamOptions.eyeEvents) {
+        contentHtml += `<div class="data-section"><strong>Blinks &amp; Winks:</strong></div>`;
+        if (eyeEvents.length === 0) {
+            contentHtml += `<div class="data-subitem">None yet</div>`;
+        }
+        // Newest first
+        for (let event of eyeEvents.slice().reverse()) {
+            let secondsAgo = ((millis() - event.time) / 1000).toFixed(1);
+            contentHtml += `<div class="data-subitem">Face ${event.face}: ${EYE_EVENT_LABELS[event.type]} ` +
+                `(${event.duration}ms, ${secondsAgo}s ago)</div>`;
+        }
+    }
+    
+    if (dataStreamOptions.headOrientation) {
+        contentHtml += `<div class="data-section"><strong>Nods &amp; Shakes:</strong></div>`;
+        if (headGestureEvents.length === 0) {
+            contentHtml += `<div class="data-subitem">None yet</div>`;
+        }
+        // Newest first
+        for (let event of headGestureEvents.slice().reverse()) {
+            let secondsAgo = ((millis() - event.time) / 1000).toFixed(1);
+            contentHtml += `<div class="data-subitem">Face ${event.face}: ${HEAD_GESTURE_LABELS[event.type]} ` +
+                `(${(event.confidence * 100).toFixed(0)}%, ${secondsAgo}s ago)</div>`;
+        }
+    }
+    
+    if (dataStreamOptions.motionGestures) {
+        contentHtml += `<div class="data-section"><strong>Motion Gestures:</strong></div>`;
+        if (motionEvents.length === 0) {
+            contentHtml += `<div class="data-subitem">None yet</div>`;
+        }
+        // Newest first
+        for (let event of motionEvents.slice().reverse()) {
+            let secondsAgo = ((millis() - event.time) / 1000).toFixed(1);
+            contentHtml += `<div class="data-subitem">Hand ${event.hand}: ${MOTION_GESTURE_LABELS[event.type]} ` +
+                `(${(event.confidence * 100).toFixed(0)}%, ${secondsAgo}s ago)</div>`;
+        }
+    }
+    
+    if (dataStreamOptions.trackingEvents) {
+        contentHtml += `<div class="data-section"><strong>Enter/Leave Events:</strong></div>`;
+        if (trackingEvents.length === 0) {
+            contentHtml += `<div class="data-subitem">None yet</div>`;
+        }
+        // Newest first
+        for (let event of trackingEvents.slice().reverse()) {
+            let secondsAgo = ((millis() - event.time) / 1000).toFixed(1);
+            let kindLabel = { face: 'Face', hand: 'Hand', body: 'Body' }[event.kind];
+            contentHtml += `<div class="data-subitem">${kindLabel} ${event.id} ${event.type === 'enter' ? 'entered' : 'left'} (${secondsAgo}s ago)</div>`;
+        }
+    }
+    
     // Update the HTML content
     document.getElementById('dataStreamContent').innerHTML = contentHtml || '<div class="data-item">No data options selected</div>';
 }
@@ -883,47 +2915,53 @@ function drawDataOnVisualization() {
     stroke(0);
     strokeWeight(1);
     
-    // Draw mouth status near mouth area
-    if (dataStreamOptions.mouthOpen) {
-        if (faces.length > 0 && faces[0].keypoints && faces[0].keypoints.length > 14) {
-            let face = faces[0];
-            let mouthOpen = isMouthOpen();
+    // Face labels are drawn for every face
+    for (let face of faces) {
+        if (!face.keypoints) continue;
+        
+        // Draw mouth status near mouth area
+        if (dataStreamOptions.mouthOpen && face.keypoints.length > 14) {
+            let mouthOpen = isMouthOpen(face);
             let mouthPos = face.keypoints[14]; // Lower lip area
             if (mouthPos) {
                 text(`Mouth: ${mouthOpen ? "Open" : "Closed"}`, mouthPos.x + 10, mouthPos.y + 20);
             }
         }
-    }
-    
-    // Draw left eye status near left eye
-    if (dataStreamOptions.leftEyeOpen) {
-        if (faces.length > 0 && faces[0].keypoints && faces[0].keypoints.length > 133) {
-            let face = faces[0];
-            let leftEyeOpen = isLeftEyeOpen();
-            let leftEyePos = face.keypoints[133]; // Left eye center (subject's left = viewer's right)
+        
+        // Draw left eye status near left eye
+        if (dataStreamOptions.leftEyeOpen && face.keypoints.length > 133) {
+            let leftEyeOpen = isLeftEyeOpen(face);
+            let leftEyePos = getFaceRegionCenter(face, 'leftEye'); // Subject's left = viewer's right
             if (leftEyePos) {
                 text(`L Eye: ${leftEyeOpen ? "Open" : "Closed"}`, leftEyePos.x + 15, leftEyePos.y - 10);
             }
         }
-    }
-    
-    // Draw right eye status near right eye
-    if (dataStreamOptions.rightEyeOpen) {
-        if (faces.length > 0 && faces[0].keypoints && faces[0].keypoints.length > 362) {
-            let face = faces[0];
-            let rightEyeOpen = isRightEyeOpen();
-            let rightEyePos = face.keypoints[362]; // Right eye center (subject's right = viewer's left)
+        
+        // Draw right eye status near right eye
+        if (dataStreamOptions.rightEyeOpen && face.keypoints.length > 362) {
+            let rightEyeOpen = isRightEyeOpen(face);
+            let rightEyePos = getFaceRegionCenter(face, 'rightEye'); // Subject's right = viewer's left
             if (rightEyePos) {
                 text(`R Eye: ${rightEyeOpen ? "Open" : "Closed"}`, rightEyePos.x - 60, rightEyePos.y - 10);
             }
         }
-    }
-    
-    // Draw nose coordinates near nose
-    if (dataStreamOptions.noseCenter) {
-        let nosePos = getNoseCenter();
-        if (nosePos) {
-            text(`(${nosePos.x.toFixed(0)}, ${nosePos.y.toFixed(0)})`, nosePos.x + 10, nosePos.y - 10);
+        
+        // Draw nose coordinates near nose
+        if (dataStreamOptions.noseCenter) {
+            let nosePos = getNoseCenter(face);
+            if (nosePos) {
+                text(`(${nosePos.x.toFixed(0)}, ${nosePos.y.toFixed(0)})`, nosePos.x + 10, nosePos.y - 10);
+            }
+        }
+        
+        // Axes showing where the head points, with the angles next to them
+        if (dataStreamOptions.headOrientation) {
+            drawHeadAxes(face);
+        }
+        
+        // Label each face with its id when there are several
+        if (faces.length > 1 && face.keypoints[10]) {
+            text(`Face ${face.id}`, face.keypoints[10].x - 20, face.keypoints[10].y - 20);
         }
     }
     
@@ -932,7 +2970,7 @@ function drawDataOnVisualization() {
         let wrists = getWristPositions();
         for (let i = 0; i < wrists.length; i++) {
             if (wrists[i]) {
-                text(`W${i + 1}: (${wrists[i].x.toFixed(0)}, ${wrists[i].y.toFixed(0)})`, 
+                text(`W${hands[i].id}: (${wrists[i].x.toFixed(0)}, ${wrists[i].y.toFixed(0)})`, 
                      wrists[i].x + 10, wrists[i].y - 10);
             }
         }
@@ -949,6 +2987,16 @@ function drawDataOnVisualization() {
         }
     }
     
+    // Draw recognised gestures under each wrist
+    if (dataStreamOptions.handGestures) {
+        getHandGestures().forEach((result, i) => {
+            let wrist = hands[i].keypoints ? hands[i].keypoints[0] : null;
+            if (wrist) {
+                text(getGestureLabels(result).join(', '), wrist.x + 10, wrist.y + 10);
+            }
+        });
+    }
+    
     // Draw fingertip coordinates near each fingertip
     if (dataStreamOptions.fingertipPositions) {
         let fingertips = getAllFingertipPositions();
@@ -966,46 +3014,98 @@ function drawDataOnVisualization() {
         }
     }
     
+    // Draw expression score bars beside each face
+    for (let face of dataStreamOptions.expressionScores ? faces : []) {
+        let scores = getExpressionScores(face);
+        let outline = getFaceRegionBounds(face, 'faceOval');
+        if (scores && outline) {
+            drawExpressionBars(scores, outline.maxX + 20, outline.minY); // Right of the face, level with the forehead
+        }
+    }
+    
     noStroke(); // Reset stroke
 }
 
+function drawExpressionBars(scores, x, y) {
+    const barWidth = 60;
+    const rowHeight = 14;
+    
+    push();
+    textAlign(LEFT, CENTER);
+    textSize(10);
+    let row = 0;
+    for (let name in scores) {
+        let rowY = y + row * rowHeight;
+        noStroke();
+        fill(255, 255, 0);
+        text(EXPRESSION_LABELS[name], x, rowY);
+        
+        fill(255, 255, 0, 60);
+        rect(x + 80, rowY - 4, barWidth, 8);
+        fill(255, 255, 0);
+        rect(x + 80, rowY - 4, barWidth * scores[name], 8);
+        row++;
+    }
+    pop();
+}
+
 // TRIGGER EFFECT FUNCTIONS
 
 function drawWinkEffect() {
-    // Check if exactly one eye is closed
-    let leftEyeOpen = isLeftEyeOpen();
-    let rightEyeOpen = isRightEyeOpen();
-    
-    if ((leftEyeOpen && !rightEyeOpen) || (!leftEyeOpen && rightEyeOpen)) {
-        // Draw WINK text in cute pink
-        push();
-        fill(255, 20, 147); // Deep pink
-        textAlign(CENTER, CENTER);
-        textSize(72);
-        textStyle(BOLD);
-        
-        // Add some fun styling
-        stroke(255);
-        strokeWeight(3);
-        
-        text("WINK", width / 2, height / 2);
-        pop();
+    for (let face of faces) {
+        // Shown for a moment after a wink (see EYE EVENTS), not every frame the eyes differ
+        if (hasRecentEyeEvent('leftWink', face.id, 700) || hasRecentEyeEvent('rightWink', face.id, 700)) {
+            // Draw WINK text in cute pink
+            push();
+            fill(255, 20, 147); // Deep pink
+            textAlign(CENTER, CENTER);
+            textStyle(BOLD);
+            
+            // Add some fun styling
+            stroke(255);
+            strokeWeight(3);
+            
+            // One face gets the middle of the screen, several faces get it above their heads
+            if (faces.length === 1) {
+                textSize(72);
+                text("WINK", width / 2, height / 2);
+            } else {
+                let center = getDetectionCenter(face);
+                textSize(48);
+                text("WINK", center.x, center.y - getDetectionSize(face) / 2 - 30);
+            }
+            pop();
+        }
     }
 }
 
 function drawMouthTextEffect() {
-    let mouthOpen = isMouthOpen();
+    let openFaces = [];
+    let activeStates = {};
     
-    // Reset when mouth closes
-    if (!mouthOpen && lastMouthState) {
-        currentWordIndex = 0;
+    for (let face of faces) {
+        let mouthOpen = isMouthOpen(face);
+        if (!mouthOpen) continue;
+        
+        // Each face's text starts from the first word when its mouth opens
+        let state = mouthTextStates[face.id] || { openedAt: millis() };
+        activeStates[face.id] = state;
+        openFaces.push({ face: face, state: state });
     }
     
-    lastMouthState = mouthOpen;
+    // Faces whose mouth closed are forgotten, so their text restarts next time
+    mouthTextStates = activeStates;
+    
+    if (openFaces.length === 0 || quoteWords.length === 0) return;
     
-    if (mouthOpen && quoteWords.length > 0) {
+    // One column per open mouth, ordered left to right like the faces
+    openFaces.sort((a, b) => getDetectionCenter(a.face).x - getDetectionCenter(b.face).x);
+    let columnWidth = width / openFaces.length;
+    
+    openFaces.forEach((entry, column) => {
         // Display words progressively
-        let wordsToShow = Math.floor((millis() % (quoteWords.length * wordDisplayTime)) / wordDisplayTime);
+        let elapsed = millis() - entry.state.openedAt;
+        let wordsToShow = Math.floor((elapsed % (quoteWords.length * wordDisplayTime)) / wordDisplayTime);
         wordsToShow = Math.min(wordsToShow, quoteWords.length - 1);
         
         let textToDisplay = quoteWords.slice(0, wordsToShow + 1).join(' ');
@@ -1024,11 +3124,12 @@ function drawMouthTextEffect() {
             let currentLine = '';
             let lineHeight = 30;
             let yPos = 50;
+            let xPos = columnWidth * (column + 0.5);
             
             for (let word of lines) {
                 let testLine = currentLine + word + ' ';
-                if (textWidth(testLine) > width - 40 && currentLine.length > 0) {
-                    text(currentLine, width / 2, yPos);
+                if (textWidth(testLine) > columnWidth - 40 && currentLine.length > 0) {
+                    text(currentLine, xPos, yPos);
                     currentLine = word + ' ';
                     yPos += lineHeight;
                 } else {
@@ -1037,12 +3138,12 @@ function drawMouthTextEffect() {
             }
             
             if (currentLine.length > 0) {
-                text(currentLine, width / 2, yPos);
+                text(currentLine, xPos, yPos);
             }
             
             pop();
         }
-    }
+    });
 }
 
 function drawWristCircleEffect() {
@@ -1054,7 +3155,7 @@ function drawWristCircleEffect() {
         let centerY = (wrists[0].y + wrists[1].y) / 2;
         
         // Calculate distance between wrists
-        let distance = getLandmarkDistance(wrists[0], wrists[1]);
+        let distance = getWristDistance();
         
         // Map distance to circle size (adjust these values as needed)
         let circleSize = map(distance, 50, 400, 20, 200);
@@ -1069,120 +3170,3289 @@ function drawWristCircleEffect() {
     }
 }
 
-// Data extraction functions
-function isMouthOpen() {
-    if (faces.length === 0 || !faces[0].keypoints) return false;
-    let face = faces[0];
+// Shows the gesture name above every hand making the selected gesture
+function drawGestureEffect() {
+    hands.forEach(hand => {
+        if (!hand.keypoints || !hand.keypoints[9] || !hasHandGesture(gestureTriggerName, hand)) return;
+        
+        let palm = hand.keypoints[9]; // Middle finger base
+        let size = getPalmSize(hand);
+        
+        push();
+        // Ring around the palm
+        noFill();
+        stroke(0, 255, 255);
+        strokeWeight(4);
+        ellipse(palm.x, palm.y, size * 2.5, size * 2.5);
+        
+        // Gesture name above the hand
+        fill(0, 255, 255);
+        stroke(0);
+        strokeWeight(3);
+        textAlign(CENTER, BOTTOM);
+        textStyle(BOLD);
+        textSize(36);
+        text(GESTURE_LABELS[gestureTriggerName], palm.x, palm.y - size * 1.5);
+        pop();
+    });
+}
+
+// Shows each motion gesture for a second where the hand made it, fading out
+function drawMotionGestureEffect() {
+    const symbols = {
+        swipeLeft: '←',
+        swipeRight: '→',
+        swipeUp: '↑',
+        swipeDown: '↓',
+        circleClockwise: '↻',
+        circleCounterClockwise: '↺',
+        wave: '👋',
+        push: '⊕',
+        pull: '⊖'
+    };
     
-    // Face mesh landmarks: upper lip center (13) and lower lip center (14)
-    // These are approximate - actual face mesh has 478 points
-    if (face.keypoints.length >= 478) {
-        let upperLip = face.keypoints[13];
-        let lowerLip = face.keypoints[14];
-        if (upperLip && lowerLip) {
-            let distance = getLandmarkDistance(upperLip, lowerLip);
-            return distance > 15; // Threshold for mouth open
-        }
+    push();
+    textAlign(CENTER, CENTER);
+    textStyle(BOLD);
+    stroke(0);
+    strokeWeight(3);
+    
+    for (let event of motionEvents) {
+        let age = millis() - event.time;
+        if (age > 1000) continue;
+        
+        // Drawn over the hand if it is still there, otherwise in the middle
+        let hand = hands.find(candidate => candidate.id === event.hand);
+        let position = hand && hand.keypoints ? hand.keypoints[9] : { x: width / 2, y: height / 2 };
+        let alpha = map(age, 0, 1000, 255, 0);
+        
+        fill(255, 165, 0, alpha);
+        textSize(64);
+        text(symbols[event.type], position.x, position.y - 40);
+        textSize(20);
+        text(MOTION_GESTURE_LABELS[event.type], position.x, position.y + 10);
     }
-    return false;
+    pop();
 }
 
-function isLeftEyeOpen() {
-    if (faces.length === 0 || !faces[0].keypoints) return false;
-    let face = faces[0];
+// TRIGGER RULES
+
+// Everything a rule can check. Each test returns true when any face or hand matches.
+// model is the ML5 model the condition reads, it is loaded while a rule uses the condition.
+const RULE_CONDITIONS = {
+    faceDetected: { label: 'Face Detected', model: 'faceMesh', test: () => faces.length > 0 },
+    leftEyeClosed: { label: 'Left Eye Closed', model: 'faceMesh', test: () => faces.some(face => !isLeftEyeOpen(face)) },
+    rightEyeClosed: { label: 'Right Eye Closed', model: 'faceMesh', test: () => faces.some(face => !isRightEyeOpen(face)) },
+    wink: { label: 'Wink', model: 'faceMesh', test: () => hasRecentEyeEvent('leftWink') || hasRecentEyeEvent('rightWink') },
+    blink: { label: 'Blink', model: 'faceMesh', test: () => hasRecentEyeEvent('blink') },
+    leftWink: { label: 'Left Wink', model: 'faceMesh', test: () => hasRecentEyeEvent('leftWink') },
+    rightWink: { label: 'Right Wink', model: 'faceMesh', test: () => hasRecentEyeEvent('rightWink') },
+    mouthOpen: { label: 'Mouth Open', model: 'faceMesh', test: () => faces.some(face => isMouthOpen(face)) },
+    smile: { label: 'Smile', model: 'faceMesh', test: () => faces.some(face => (getExpressionScores(face) || {}).smile > 0.5) },
+    browRaise: { label: 'Brows Raised', model: 'faceMesh', test: () => faces.some(face => (getExpressionScores(face) || {}).browRaise > 0.5) },
+    headNod: { label: 'Head Nod (Yes)', model: 'faceMesh', test: () => hasRecentHeadGesture('nod') },
+    headShake: { label: 'Head Shake (No)', model: 'faceMesh', test: () => hasRecentHeadGesture('shake') },
+    lookLeft: { label: 'Looking Left', model: 'faceMesh', test: () => faces.some(face => (getHeadPose(face) || {}).yaw < -HEAD_POSE_THRESHOLDS.turn) },
+    lookRight: { label: 'Looking Right', model: 'faceMesh', test: () => faces.some(face => (getHeadPose(face) || {}).yaw > HEAD_POSE_THRESHOLDS.turn) },
+    lookUp: { label: 'Looking Up', model: 'faceMesh', test: () => faces.some(face => (getHeadPose(face) || {}).pitch > HEAD_POSE_THRESHOLDS.turn) },
+    lookDown: { label: 'Looking Down', model: 'faceMesh', test: () => faces.some(face => (getHeadPose(face) || {}).pitch < -HEAD_POSE_THRESHOLDS.turn) },
+    handDetected: { label: 'Hand Detected', model: 'handPose', test: () => hands.length > 0 },
+    twoHands: { label: 'Two Hands', model: 'handPose', test: () => hands.length >= 2 },
+    fist: { label: 'Fist', model: 'handPose', test: () => hands.some(hand => isHandFist(hand)) },
+    handOpen: { label: 'Hand Open', model: 'handPose', test: () => hands.some(hand => !isHandFist(hand)) }
+};
+
+// Every named hand gesture, motion gesture and body pose can be used too
+for (let name in GESTURE_LABELS) {
+    RULE_CONDITIONS[`gesture:${name}`] = {
+        label: `Gesture: ${GESTURE_LABELS[name]}`,
+        model: 'handPose',
+        test: () => hasHandGesture(name)
+    };
+}
+for (let name in BODY_POSE_LABELS) {
+    RULE_CONDITIONS[`body:${name}`] = {
+        label: `Body: ${BODY_POSE_LABELS[name]}`,
+        model: 'bodyPose',
+        test: () => bodies.some(body => getBodyPoses(body).includes(name))
+    };
+}
+for (let name in MOTION_GESTURE_LABELS) {
+    RULE_CONDITIONS[`motion:${name}`] = {
+        label: `Motion: ${MOTION_GESTURE_LABELS[name]}`,
+        model: 'handPose',
+        test: () => motionEvents.some(event => event.type === name && millis() - event.time < 300)
+    };
+}
+
+const RULE_ACTIONS = {
+    text: { label: 'Show Text', placeholder: 'Text to show' },
+    sound: { label: 'Play Sound', placeholder: 'Frequency in Hz, a sample name or a sound file URL' },
+    filter: { label: 'Change Filter', placeholder: 'none, bw or invert' },
+    network: { label: 'Network Message', placeholder: 'Value sent with the message' }
+};
+
+// Called every frame from draw(). A rule fires once its conditions have all been true for
+// its hold time. Conditions that drop out for less than the debounce time don't reset the
+// hold, and after firing the rule waits for its cooldown and for the conditions to be released.
+function updateTriggerRules() {
+    let now = millis();
+    let conditionValues = {}; // Each condition is only tested once per frame
+    let isTrue = (name) => {
+        if (!(name in conditionValues)) {
+            conditionValues[name] = RULE_CONDITIONS[name] ? RULE_CONDITIONS[name].test() : false;
+        }
+        return conditionValues[name];
+    };
     
-    // MediaPipe face mesh left eye landmarks (subject's left = viewer's right)
-    if (face.keypoints.length >= 478) {
-        let upperEyelid = face.keypoints[159]; // Left eye upper eyelid
-        let lowerEyelid = face.keypoints[145]; // Left eye lower eyelid
-        if (upperEyelid && lowerEyelid) {
-            let distance = getLandmarkDistance(upperEyelid, lowerEyelid);
-            return distance > 8; // Threshold for eye open (adjust as needed)
+    for (let rule of triggerRules) {
+        let state = ruleStates[rule.id] || (ruleStates[rule.id] = { active: false, since: 0, lastTrue: 0, fired: false, cooldownUntil: 0 });
+        if (!rule.enabled || rule.conditions.length === 0) {
+            state.active = false;
+            continue;
+        }
+        
+        if (rule.conditions.every(isTrue)) {
+            if (!state.active) {
+                state.active = true;
+                state.since = now;
+            }
+            state.lastTrue = now;
+        } else if (state.active && now - state.lastTrue > rule.debounce) {
+            state.active = false;
+            state.fired = false;
+        }
+        
+        if (state.active && !state.fired && now - state.since >= rule.hold && now >= state.cooldownUntil) {
+            state.fired = true;
+            state.cooldownUntil = now + rule.cooldown;
+            runRuleAction(rule);
         }
     }
-    return true; // Default to open if landmarks not available
+    
+    if (frameCount % 10 === 0) {
+        updateRuleStateLabels();
+    }
 }
 
-function isRightEyeOpen() {
-    if (faces.length === 0 || !faces[0].keypoints) return false;
-    let face = faces[0];
+function runRuleAction(rule) {
+    let value = rule.action.value;
+    console.log(`⚡ Rule "${rule.name}" fired`);
     
-    // MediaPipe face mesh right eye landmarks (subject's right = viewer's left)
-    if (face.keypoints.length >= 478) {
-        let upperEyelid = face.keypoints[386]; // Right eye upper eyelid
-        let lowerEyelid = face.keypoints[374]; // Right eye lower eyelid
-        if (upperEyelid && lowerEyelid) {
-            let distance = getLandmarkDistance(upperEyelid, lowerEyelid);
-            return distance > 8; // Threshold for eye open (adjust as needed)
-        }
+    switch (rule.action.type) {
+        case 'text':
+            ruleTextOverlays.push({ text: value, time: millis() });
+            break;
+        case 'sound':
+            if (audioSamples[value]) {
+                playSample(value);
+            } else if (isNaN(parseFloat(value))) {
+                new Audio(value).play().catch(error => console.error("Could not play sound:", error));
+            } else {
+                playTone(parseFloat(value), 0.3);
+            }
+            break;
+        case 'filter':
+            setVideoFilter(value);
+            break;
+        case 'network':
+            sendNetworkMessage({
+                type: 'trigger',
+                timestamp: Date.now(),
+                rule: rule.name,
+                value: value,
+                osc: [{ address: `${networkSettings.oscPrefix}/trigger/${rule.name.replace(/[^\w-]/g, '_')}`, args: [value] }]
+            });
+            break;
     }
-    return true; // Default to open if landmarks not available
 }
 
-function getNoseCenter() {
-    if (faces.length === 0 || !faces[0].keypoints) return null;
-    let face = faces[0];
+// Text from rules, in the middle of the screen for 1.5 seconds
+function drawRuleTextOverlays() {
+    ruleTextOverlays = ruleTextOverlays.filter(overlay => millis() - overlay.time < 1500);
     
-    // Face mesh nose tip is typically around index 1 or 2
-    if (face.keypoints.length > 2) {
-        return face.keypoints[1]; // Approximate nose tip
+    push();
+    textAlign(CENTER, CENTER);
+    textStyle(BOLD);
+    textSize(48);
+    stroke(0);
+    strokeWeight(3);
+    ruleTextOverlays.forEach((overlay, i) => {
+        let alpha = map(millis() - overlay.time, 1000, 1500, 255, 0, true);
+        fill(255, 255, 0, alpha);
+        text(overlay.text, width / 2, height / 3 + i * 60);
+    });
+    pop();
+}
+
+// SIGNAL SOURCES
+
+// Continuous face and hand signals between 0 and 1, used by the audio and MIDI mappings.
+// read() returns null when the signal isn't available (no face, only one hand...).
+// Like the rule conditions, model is the ML5 model the signal needs.
+const SIGNAL_SOURCES = {
+    wristDistance: { label: 'Wrist Distance', model: 'handPose', read: () => {
+        let distance = getWristDistance();
+        return distance === null ? null : constrain(map(distance, 50, 400, 0, 1), 0, 1); // Same range as the wrist circle
+    } },
+    wristX: { label: 'Wrist X', model: 'handPose', read: () => hands.length > 0 ? constrain(hands[0].keypoints[0].x / width, 0, 1) : null },
+    wristY: { label: 'Wrist Y', model: 'handPose', read: () => hands.length > 0 ? constrain(1 - hands[0].keypoints[0].y / height, 0, 1) : null },
+    pinch: { label: 'Pinch (Thumb to Index)', model: 'handPose', read: () => {
+        if (hands.length === 0) return null;
+        let hand = hands[0];
+        let ratio = getLandmarkDistance(hand.keypoints[4], hand.keypoints[8]) / max(getPalmSize(hand), 1);
+        return constrain(1 - ratio / 1.5, 0, 1);
+    } },
+    noseX: { label: 'Nose X', model: 'faceMesh', read: () => faces.length > 0 ? constrain(getNoseCenter().x / width, 0, 1) : null },
+    noseY: { label: 'Nose Y', model: 'faceMesh', read: () => faces.length > 0 ? constrain(1 - getNoseCenter().y / height, 0, 1) : null },
+    mouthOpen: { label: 'Mouth Openness', model: 'faceMesh', read: () => getExpressionScore('mouthOpen') },
+    smile: { label: 'Smile', model: 'faceMesh', read: () => getExpressionScore('smile') },
+    browRaise: { label: 'Brow Raise', model: 'faceMesh', read: () => getExpressionScore('browRaise') },
+    leftEyeOpen: { label: 'Left Eye Openness', model: 'faceMesh', read: () => getExpressionScore('leftEyeOpen') },
+    rightEyeOpen: { label: 'Right Eye Openness', model: 'faceMesh', read: () => getExpressionScore('rightEyeOpen') },
+    headYaw: { label: 'Head Yaw (left to right)', model: 'faceMesh', read: () => getHeadAngleSignal('yaw') },
+    headPitch: { label: 'Head Pitch (down to up)', model: 'faceMesh', read: () => getHeadAngleSignal('pitch') },
+    headRoll: { label: 'Head Roll (tilt)', model: 'faceMesh', read: () => getHeadAngleSignal('roll') },
+    gazeX: { label: 'Gaze X', model: 'faceMesh', read: () => { let gaze = getGaze(); return gaze ? gaze.x : null; } },
+    gazeY: { label: 'Gaze Y', model: 'faceMesh', read: () => { let gaze = getGaze(); return gaze ? 1 - gaze.y : null; } }
+};
+
+// Fingertip heights of the first hand, 1 at the top of the canvas
+['thumb', 'index', 'middle', 'ring', 'pinky'].forEach((finger, i) => {
+    SIGNAL_SOURCES[`${finger}Height`] = {
+        label: `${finger[0].toUpperCase() + finger.slice(1)} Tip Height`,
+        model: 'handPose',
+        read: () => hands.length > 0 ? constrain(1 - hands[0].keypoints[4 + i * 4].y / height, 0, 1) : null
+    };
+});
+
+function readSignal(name) {
+    let source = SIGNAL_SOURCES[name];
+    return source ? source.read() : null;
+}
+
+// -45 to 45 degrees becomes 0 to 1
+function getHeadAngleSignal(name) {
+    let pose = getHeadPose();
+    return pose ? constrain(map(pose[name], -45, 45, 0, 1), 0, 1) : null;
+}
+
+function getExpressionScore(name) {
+    let scores = getExpressionScores();
+    return scores ? scores[name] : null;
+}
+
+// AUDIO
+
+const AUDIO_TARGETS = {
+    pitch: { label: 'Pitch (Hz)', min: 220, max: 880 },
+    volume: { label: 'Synth Volume', min: 0, max: 1 },
+    filterCutoff: { label: 'Filter Cutoff (Hz)', min: 200, max: 5000 }
+};
+
+// One AudioContext for everything that makes sound (browsers limit how many there can be)
+function getSharedAudioContext() {
+    if (!sharedAudioContext) {
+        sharedAudioContext = new (window.AudioContext || window.webkitAudioContext)();
     }
-    return null;
+    if (sharedAudioContext.state === 'suspended') {
+        sharedAudioContext.resume();
+    }
+    return sharedAudioContext;
 }
 
-function getWristPositions() {
-    let wrists = [];
-    for (let hand of hands) {
-        if (hand.keypoints && hand.keypoints[0]) {
-            wrists.push(hand.keypoints[0]); // Wrist is index 0
-        } else {
-            wrists.push(null);
-        }
+// Master volume and mute apply to everything connected here
+function getAudioOutput() {
+    let audio = getSharedAudioContext();
+    if (!masterGain) {
+        masterGain = audio.createGain();
+        masterGain.connect(audio.destination);
+        updateMasterVolume();
     }
-    return wrists;
+    return masterGain;
 }
 
-function getHandsOpenStatus() {
-    let handsOpen = [];
-    for (let hand of hands) {
-        handsOpen.push(!isHandFist(hand)); // Inverse of fist detection
+function updateMasterVolume() {
+    if (!masterGain) return;
+    masterGain.gain.setTargetAtTime(audioMuted ? 0 : masterVolume, masterGain.context.currentTime, 0.02);
+}
+
+// Browsers only allow audio to start after a click, so this runs from the Enable Audio toggle
+function startAudio() {
+    let audio = getSharedAudioContext();
+    let output = getAudioOutput();
+    
+    if (Object.keys(audioSamples).length === 0) {
+        createBuiltInSamples(audio);
     }
-    return handsOpen;
+    
+    // Oscillator -> low-pass filter -> gain, driven by the signal mappings
+    let oscillator = audio.createOscillator();
+    let filter = audio.createBiquadFilter();
+    let gain = audio.createGain();
+    oscillator.type = synthWaveform;
+    filter.type = 'lowpass';
+    gain.gain.value = 0;
+    
+    oscillator.connect(filter);
+    filter.connect(gain);
+    gain.connect(output);
+    oscillator.start();
+    
+    synthNodes = { oscillator: oscillator, filter: filter, gain: gain };
+    sampleTriggerStates = [];
+    audioEnabled = true;
+    updateStatus("🔊 Audio on");
 }
 
-function getAllFingertipPositions() {
-    let allFingertips = [];
-    for (let hand of hands) {
-        if (hand.keypoints) {
-            let fingertips = [
-                hand.keypoints[4],  // Thumb tip
-                hand.keypoints[8],  // Index finger tip
-                hand.keypoints[12], // Middle finger tip
-                hand.keypoints[16], // Ring finger tip
-                hand.keypoints[20]  // Pinky tip
-            ];
-            allFingertips.push(fingertips);
-        } else {
-            allFingertips.push(null);
+function stopAudio() {
+    audioEnabled = false;
+    if (synthNodes) {
+        let now = synthNodes.gain.context.currentTime;
+        synthNodes.gain.gain.setTargetAtTime(0, now, 0.02);
+        synthNodes.oscillator.stop(now + 0.1);
+        synthNodes = null;
+    }
+    updateStatus("🔇 Audio off");
+}
+
+// Called every frame from draw() while audio is on
+function updateAudio() {
+    if (!synthNodes) return;
+    
+    // The synth only plays while every mapped signal is available, e.g. both hands for wrist distance
+    let values = {};
+    let allAvailable = audioMappings.length > 0;
+    for (let mapping of audioMappings) {
+        let signal = readSignal(mapping.source);
+        if (signal === null || signal === undefined) {
+            allAvailable = false;
+            continue;
         }
+        values[mapping.target] = lerp(mapping.min, mapping.max, signal);
     }
-    return allFingertips;
+    
+    // Short glides instead of jumps, so the sound doesn't crackle
+    let now = synthNodes.gain.context.currentTime;
+    if ('pitch' in values) {
+        synthNodes.oscillator.frequency.setTargetAtTime(max(values.pitch, 1), now, 0.05);
+    }
+    if ('filterCutoff' in values) {
+        synthNodes.filter.frequency.setTargetAtTime(max(values.filterCutoff, 1), now, 0.05);
+    }
+    let volume = allAvailable ? ('volume' in values ? constrain(values.volume, 0, 1) : 0.5) : 0;
+    synthNodes.gain.gain.setTargetAtTime(volume, now, 0.05);
+    
+    // Samples play when their condition becomes true
+    sampleTriggers.forEach((trigger, i) => {
+        let condition = RULE_CONDITIONS[trigger.condition];
+        let active = condition ? condition.test() : false;
+        if (active && !sampleTriggerStates[i]) {
+            playSample(trigger.sample);
+        }
+        sampleTriggerStates[i] = active;
+    });
+}
+
+function playSample(name) {
+    let buffer = audioSamples[name];
+    if (!buffer) return;
+    
+    let audio = getSharedAudioContext();
+    let source = audio.createBufferSource();
+    source.buffer = buffer;
+    source.connect(getAudioOutput());
+    source.start();
+}
+
+function playTone(frequency, duration) {
+    let audio = getSharedAudioContext();
+    let oscillator = audio.createOscillator();
+    let gain = audio.createGain();
+    
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.3, audio.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, audio.currentTime + duration); // Fade out to avoid a click
+    
+    oscillator.connect(gain);
+    gain.connect(getAudioOutput());
+    oscillator.start();
+    oscillator.stop(audio.currentTime + duration);
+}
+
+// A few sounds made in code so sample triggers work without any audio files
+function createBuiltInSamples(audio) {
+    let rate = audio.sampleRate;
+    let make = (duration, generator) => {
+        let buffer = audio.createBuffer(1, Math.floor(duration * rate), rate);
+        let data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = generator(i / rate);
+        }
+        return buffer;
+    };
+    
+    audioSamples.kick = make(0.5, t => Math.sin(TWO_PI * (40 * t + 110 * (1 - Math.exp(-t * 30)) / 30)) * Math.exp(-t * 8));
+    audioSamples.snare = make(0.25, t => (Math.random() * 2 - 1) * Math.exp(-t * 20) * 0.7);
+    audioSamples.hihat = make(0.08, t => (Math.random() * 2 - 1) * Math.exp(-t * 60) * 0.5);
+    audioSamples.bell = make(1.5, t => (Math.sin(TWO_PI * 880 * t) + 0.5 * Math.sin(TWO_PI * 2430 * t)) * Math.exp(-t * 3) * 0.4);
+    renderAudioControls();
+}
+
+// Your own sound files become samples, named after the file
+function loadAudioSample(file) {
+    if (!file) return;
+    
+    let name = file.name.replace(/\.[^.]+$/, '');
+    file.arrayBuffer()
+        .then(data => getSharedAudioContext().decodeAudioData(data))
+        .then(buffer => {
+            audioSamples[name] = buffer;
+            renderAudioControls();
+            updateStatus(`🎵 Loaded sample "${name}"`);
+        })
+        .catch(error => {
+            console.error("Could not load sample:", error);
+            updateStatus("❌ Could not decode that sound file");
+        });
+}
+
+// Rebuild the mapping and sample trigger lists
+function renderAudioControls() {
+    let options = (items, selected, label) => Object.keys(items).map(name =>
+        `<option value="${name}"${name === selected ? ' selected' : ''}>${label(name)}</option>`).join('');
+    let sampleNames = {};
+    for (let name in audioSamples) sampleNames[name] = true;
+    
+    document.getElementById('audioMappingList').innerHTML = audioMappings.map((mapping, i) => `
+        <div class="mapping-row" data-mapping="${i}">
+            <select data-field="source">${options(SIGNAL_SOURCES, mapping.source, name => SIGNAL_SOURCES[name].label)}</select>
+            <select data-field="target">${options(AUDIO_TARGETS, mapping.target, name => AUDIO_TARGETS[name].label)}</select>
+            <input type="number" data-field="min" value="${mapping.min}" title="Value when the signal is 0">
+            <input type="number" data-field="max" value="${mapping.max}" title="Value when the signal is 1">
+            <button class="control-button" data-action="remove">×</button>
+        </div>`).join('') || '<p class="hint">No mappings</p>';
+    
+    document.getElementById('sampleTriggerList').innerHTML = sampleTriggers.map((trigger, i) => `
+        <div class="mapping-row" data-trigger="${i}">
+            <select data-field="condition">${options(RULE_CONDITIONS, trigger.condition, name => RULE_CONDITIONS[name].label)}</select>
+            <select data-field="sample">${options(sampleNames, trigger.sample, name => name)}</select>
+            <button class="control-button" data-action="remove">×</button>
+        </div>`).join('') || '<p class="hint">No sample triggers</p>';
+}
+
+// MIDI OUTPUT
+
+// Control change and pitch bend follow a signal (SIGNAL_SOURCES), notes are held while a
+// condition (RULE_CONDITIONS) is true. min/max scale the 0-1 signal to the MIDI range;
+// for notes, number is the note and max the velocity.
+const MIDI_MESSAGE_TYPES = {
+    cc: { label: 'Control Change', min: 0, max: 127 },
+    pitchBend: { label: 'Pitch Bend', min: 0, max: 16383 },
+    note: { label: 'Note On/Off', min: 0, max: 100 }
+};
+
+function startMidiOutput() {
+    if (!navigator.requestMIDIAccess) {
+        updateStatus("❌ Web MIDI isn't supported in this browser (try Chrome or Edge)");
+        return;
+    }
+    
+    navigator.requestMIDIAccess().then(access => {
+        midiAccess = access;
+        midiAccess.onstatechange = updateMidiPorts; // Ports plugged in or out
+        midiEnabled = true;
+        updateMidiPorts();
+        updateStatus("🎹 MIDI ready");
+    }).catch(error => {
+        console.error("MIDI access denied:", error);
+        updateStatus("❌ MIDI access denied");
+    });
+}
+
+function stopMidiOutput() {
+    releaseMidiNotes();
+    midiEnabled = false;
+    midiLearnState = null;
+}
+
+// Fill the port list and keep the chosen port if it is still there
+function updateMidiPorts() {
+    let select = document.getElementById('midiOutputSelect');
+    let outputs = midiAccess ? Array.from(midiAccess.outputs.values()) : [];
+    let selectedId = midiOutput ? midiOutput.id : select.value;
+    
+    select.innerHTML = outputs.map(output =>
+        `<option value="${output.id}">${escapeHtml(output.name)}</option>`).join('') ||
+        '<option value="">No MIDI outputs found</option>';
+    
+    midiOutput = outputs.find(output => output.id === selectedId) || outputs[0] || null;
+    if (midiOutput) select.value = midiOutput.id;
+}
+
+function selectMidiOutput(id) {
+    releaseMidiNotes();
+    midiOutput = midiAccess ? midiAccess.outputs.get(id) || null : null;
+}
+
+// Called every frame from draw() while MIDI is on
+function updateMidiOutput() {
+    if (midiLearnState) {
+        updateMidiLearn();
+    }
+    
+    midiMappings.forEach((mapping, i) => {
+        if (midiSoloIndex !== null && midiSoloIndex !== i) return;
+        
+        if (mapping.type === 'note') {
+            let condition = RULE_CONDITIONS[mapping.source];
+            let active = condition ? condition.test() : false;
+            if (active && !mapping.noteOn) {
+                sendMidi([0x90 | midiChannel, mapping.number, constrain(Math.round(mapping.max), 1, 127)]);
+                mapping.noteOn = true;
+            } else if (!active && mapping.noteOn) {
+                sendMidi([0x80 | midiChannel, mapping.number, 0]);
+                mapping.noteOn = false;
+            }
+            return;
+        }
+        
+        let signal = readSignal(mapping.source);
+        if (signal === null || signal === undefined) return; // Keep the last value while the signal is missing
+        
+        let type = MIDI_MESSAGE_TYPES[mapping.type];
+        let value = constrain(Math.round(lerp(mapping.min, mapping.max, signal)), type.min, type.max);
+        if (value === mapping.lastValue) return; // Only send changes
+        mapping.lastValue = value;
+        
+        if (mapping.type === 'cc') {
+            sendMidi([0xB0 | midiChannel, mapping.number, value]);
+        } else {
+            sendMidi([0xE0 | midiChannel, value & 0x7F, value >> 7]); // 14 bits, low 7 bits first
+        }
+    });
+    
+    if (frameCount % 10 === 0) {
+        updateMidiMonitor();
+    }
+}
+
+function sendMidi(bytes) {
+    if (!midiOutput) return;
+    
+    // Sent from draw(), so a message the port rejects must not stop the sketch
+    try {
+        midiOutput.send(bytes);
+    } catch (error) {
+        console.error("MIDI send error:", error);
+        updateStatus(`❌ MIDI message not sent: ${error.message}`);
+        return;
+    }
+    
+    midiMonitor.push({ time: millis(), bytes: bytes });
+    if (midiMonitor.length > 12) midiMonitor.shift();
+}
+
+// Note off for every note that is still held, e.g. before switching ports
+function releaseMidiNotes() {
+    for (let mapping of midiMappings) {
+        if (mapping.noteOn) {
+            sendMidi([0x80 | midiChannel, mapping.number, 0]);
+            mapping.noteOn = false;
+        }
+    }
+}
+
+// MIDI learn: for a few seconds, watch which signal moves the most (or which condition
+// turns on) and use it as the mapping's source
+function startMidiLearn(index) {
+    let initial = {};
+    for (let name in RULE_CONDITIONS) {
+        initial[name] = RULE_CONDITIONS[name].test();
+    }
+    
+    midiLearnState = { index: index, start: millis(), ranges: {}, initial: initial };
+    updateStatus(`🎓 Learning: move what mapping ${index + 1} should follow...`);
+    renderMidiMappings();
+}
+
+function updateMidiLearn() {
+    let learn = midiLearnState;
+    let mapping = midiMappings[learn.index];
+    if (!mapping) {
+        midiLearnState = null;
+        return;
+    }
+    
+    if (mapping.type === 'note') {
+        // The first condition that wasn't already true when learning started
+        for (let name in RULE_CONDITIONS) {
+            if (!learn.initial[name] && RULE_CONDITIONS[name].test()) {
+                finishMidiLearn(name);
+                return;
+            }
+        }
+    } else {
+        for (let name in SIGNAL_SOURCES) {
+            let value = readSignal(name);
+            if (value === null || value === undefined) continue;
+            let range = learn.ranges[name] || (learn.ranges[name] = { min: value, max: value });
+            range.min = min(range.min, value);
+            range.max = max(range.max, value);
+        }
+    }
+    
+    if (millis() - learn.start < MIDI_LEARN_TIME) return;
+    
+    let best = null;
+    for (let name in learn.ranges) {
+        let range = learn.ranges[name];
+        if (!best || range.max - range.min > best.range) {
+            best = { name: name, range: range.max - range.min };
+        }
+    }
+    finishMidiLearn(best && best.range > 0.1 ? best.name : null);
+}
+
+function finishMidiLearn(source) {
+    let mapping = midiMappings[midiLearnState.index];
+    midiLearnState = null;
+    
+    if (source) {
+        if (mapping.noteOn) {
+            sendMidi([0x80 | midiChannel, mapping.number, 0]);
+            mapping.noteOn = false;
+        }
+        mapping.source = source;
+        mapping.lastValue = null;
+        let label = (SIGNAL_SOURCES[source] || RULE_CONDITIONS[source]).label;
+        updateStatus(`🎓 Mapping learned: ${label}`);
+    } else {
+        updateStatus("⚠️ Nothing moved enough to learn from, try again");
+    }
+    renderMidiMappings();
+}
+
+// Rebuild the mapping list
+function renderMidiMappings() {
+    let options = (items, selected) => Object.keys(items).map(name =>
+        `<option value="${name}"${name === selected ? ' selected' : ''}>${items[name].label}</option>`).join('');
+    
+    document.getElementById('midiMappingList').innerHTML = midiMappings.map((mapping, i) => {
+        let isNote = mapping.type === 'note';
+        let learning = midiLearnState && midiLearnState.index === i;
+        return `
+        <div class="settings-group" data-mapping="${i}">
+            <div class="mapping-row">
+                <select data-field="type">${options(MIDI_MESSAGE_TYPES, mapping.type)}</select>
+                <button class="control-button" data-action="remove">×</button>
+            </div>
+            <div class="mapping-row">
+                <select data-field="source">${options(isNote ? RULE_CONDITIONS : SIGNAL_SOURCES, mapping.source)}</select>
+                <button class="control-button${learning ? ' recording' : ''}" data-action="learn">${learning ? 'Learning...' : 'Learn'}</button>
+            </div>
+            <div class="mapping-row">
+                ${mapping.type === 'pitchBend' ? '' : `<label>${isNote ? 'Note' : 'CC'}</label>
+                <input type="number" data-field="number" min="0" max="127" value="${mapping.number}">`}
+                ${isNote ? '' : `<label>Min</label>
+                <input type="number" data-field="min" value="${mapping.min}">`}
+                <label>${isNote ? 'Velocity' : 'Max'}</label>
+                <input type="number" data-field="max" value="${mapping.max}">
+            </div>
+            <label class="checkbox">
+                <input type="checkbox" data-field="solo"${midiSoloIndex === i ? ' checked' : ''}>
+                <span class="checkbox-label">Solo (for MIDI learn in your synth)</span>
+            </label>
+        </div>`;
+    }).join('') || '<p class="hint">No mappings</p>';
+}
+
+function updateMidiMonitor() {
+    const names = { 0x80: 'Note Off', 0x90: 'Note On', 0xB0: 'CC', 0xE0: 'Pitch Bend' };
+    
+    // Newest first
+    document.getElementById('midiMonitor').innerHTML = midiMonitor.slice().reverse().map(message => {
+        let [status, first, second] = message.bytes;
+        let type = names[status & 0xF0];
+        let channel = (status & 0x0F) + 1;
+        let detail = (status & 0xF0) === 0xE0 ? `${(second << 7) | first}` : `${first} = ${second}`;
+        return `<div class="data-subitem">ch${channel} ${type} ${detail}</div>`;
+    }).join('') || '<div class="data-subitem">Nothing sent yet</div>';
+}
+
+// Switch the video filter and keep the radio buttons in sync
+function setVideoFilter(filter) {
+    if (!['none', 'bw', 'invert'].includes(filter)) return;
+    
+    currentVideoFilter = filter;
+    let radio = document.querySelector(`input[name="videoFilter"][value="${filter}"]`);
+    if (radio) radio.checked = true;
+}
+
+function createTriggerRule() {
+    let nextId = triggerRules.reduce((highest, rule) => max(highest, rule.id), 0) + 1;
+    return {
+        id: nextId,
+        name: `Rule ${nextId}`,
+        enabled: true,
+        conditions: ['leftEyeClosed', 'mouthOpen'],
+        hold: 500,     // ms the conditions have to stay true
+        debounce: 100, // ms a condition can drop out without resetting the hold
+        cooldown: 2000, // ms before the rule can fire again
+        action: { type: 'text', value: 'Hello!' }
+    };
+}
+
+// Fill in anything missing from rules saved by hand or by an older version
+function normalizeTriggerRule(rule, index) {
+    let defaults = createTriggerRule();
+    return {
+        id: Number.isInteger(rule.id) ? rule.id : null, // Missing ids are given out by setTriggerRules()
+        name: typeof rule.name === 'string' ? rule.name : `Rule ${index + 1}`,
+        enabled: rule.enabled !== false,
+        conditions: Array.isArray(rule.conditions) ? rule.conditions.filter(name => name in RULE_CONDITIONS) : [],
+        hold: Number(rule.hold) || 0,
+        debounce: Number(rule.debounce) || 0,
+        cooldown: Number(rule.cooldown) || 0,
+        action: Object.assign({}, defaults.action, rule.action)
+    };
+}
+
+function setTriggerRules(rules) {
+    triggerRules = rules.map(normalizeTriggerRule);
+    
+    // ruleStates is keyed by id, so rules without one, or with one another rule already has, get a new id
+    let nextId = triggerRules.reduce((highest, rule) => max(highest, rule.id || 0), 0) + 1;
+    let usedIds = new Set();
+    for (let rule of triggerRules) {
+        if (rule.id === null || usedIds.has(rule.id)) {
+            rule.id = nextId++;
+        }
+        usedIds.add(rule.id);
+    }
+    ruleStates = {};
+    renderTriggerRules();
+}
+
+// Rules saved in this browser win, otherwise triggers.json next to index.html is used if it exists
+function loadTriggerRules() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(TRIGGER_RULES_STORAGE_KEY));
+    } catch (error) {
+        saved = null;
+    }
+    
+    if (Array.isArray(saved)) {
+        setTriggerRules(saved);
+        return;
+    }
+    
+    renderTriggerRules();
+    fetch(TRIGGER_RULES_FILE)
+        .then(response => response.ok ? response.json() : null)
+        .then(data => {
+            if (data && Array.isArray(data.rules)) {
+                setTriggerRules(data.rules);
+                console.log(`Loaded ${data.rules.length} trigger rules from ${TRIGGER_RULES_FILE}`);
+            }
+        })
+        .catch(() => {}); // No triggers.json, or the page was opened from a file
+}
+
+function saveTriggerRules() {
+    try {
+        localStorage.setItem(TRIGGER_RULES_STORAGE_KEY, JSON.stringify(triggerRules));
+    } catch (error) {
+        console.error("Could not save trigger rules:", error);
+    }
+}
+
+function downloadTriggerRules() {
+    let data = { format: 'cv-trigger-rules', version: 1, rules: triggerRules };
+    downloadTextFile(JSON.stringify(data, null, 2), TRIGGER_RULES_FILE, 'application/json');
+}
+
+function loadTriggerRulesFile(file) {
+    if (!file) return;
+    
+    file.text().then(text => {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            data = null;
+        }
+        
+        if (!data || !Array.isArray(data.rules)) {
+            updateStatus("❌ Could not read trigger rules file");
+            return;
+        }
+        
+        setTriggerRules(data.rules);
+        saveTriggerRules();
+        updateStatus(`📂 Loaded ${triggerRules.length} trigger rules`);
+    });
+}
+
+// Rebuild the rule editor from triggerRules
+function renderTriggerRules() {
+    let conditionOptions = (selected) => Object.keys(RULE_CONDITIONS).map(name =>
+        `<option value="${name}"${name === selected ? ' selected' : ''}>${RULE_CONDITIONS[name].label}</option>`).join('');
+    let actionOptions = (selected) => Object.keys(RULE_ACTIONS).map(type =>
+        `<option value="${type}"${type === selected ? ' selected' : ''}>${RULE_ACTIONS[type].label}</option>`).join('');
+    
+    let html = triggerRules.map(rule => `
+        <div class="settings-group rule" data-rule="${rule.id}">
+            <label class="checkbox">
+                <input type="checkbox" data-field="enabled"${rule.enabled ? ' checked' : ''}>
+                <span class="checkbox-label">Enabled <span class="rule-state" data-rule-state="${rule.id}"></span></span>
+            </label>
+            <label>Name:</label>
+            <input type="text" data-field="name" value="${escapeHtml(rule.name)}">
+            <label>When all of these are true:</label>
+            ${rule.conditions.map((condition, i) => `
+                <div class="rule-condition">
+                    <select data-field="condition" data-index="${i}">${conditionOptions(condition)}</select>
+                    <button class="control-button" data-action="removeCondition" data-index="${i}">×</button>
+                </div>`).join('')}
+            <button class="control-button" data-action="addCondition">+ Condition</button>
+            <label>Hold (ms):</label>
+            <input type="number" data-field="hold" min="0" step="50" value="${rule.hold}">
+            <label>Debounce (ms):</label>
+            <input type="number" data-field="debounce" min="0" step="50" value="${rule.debounce}">
+            <label>Cooldown (ms):</label>
+            <input type="number" data-field="cooldown" min="0" step="100" value="${rule.cooldown}">
+            <label>Then:</label>
+            <select data-field="actionType">${actionOptions(rule.action.type)}</select>
+            <input type="text" data-field="actionValue" value="${escapeHtml(String(rule.action.value))}"
+                placeholder="${RULE_ACTIONS[rule.action.type] ? RULE_ACTIONS[rule.action.type].placeholder : ''}">
+            <button class="control-button" data-action="deleteRule">Delete Rule</button>
+        </div>`).join('');
+    
+    document.getElementById('ruleList').innerHTML = html || '<p class="hint">No rules yet</p>';
+}
+
+// Applies a change made in the rule editor
+function updateTriggerRuleField(rule, input) {
+    let index = parseInt(input.dataset.index);
+    
+    switch (input.dataset.field) {
+        case 'enabled':
+            rule.enabled = input.checked;
+            break;
+        case 'name':
+            rule.name = input.value;
+            break;
+        case 'condition':
+            rule.conditions[index] = input.value;
+            break;
+        case 'hold':
+        case 'debounce':
+        case 'cooldown':
+            rule[input.dataset.field] = max(0, parseInt(input.value) || 0);
+            break;
+        case 'actionType':
+            rule.action.type = input.value;
+            renderTriggerRules(); // Show the placeholder for the new action
+            break;
+        case 'actionValue':
+            rule.action.value = input.value;
+            break;
+    }
+    saveTriggerRules();
+}
+
+function updateRuleStateLabels() {
+    for (let rule of triggerRules) {
+        let label = document.querySelector(`[data-rule-state="${rule.id}"]`);
+        let state = ruleStates[rule.id];
+        if (!label || !state) continue;
+        
+        label.textContent = !state.active ? '' : state.fired ? '(fired)' : '(holding)';
+    }
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Shows the pose name above each body making one
+function drawBodyPoseEffect() {
+    push();
+    textAlign(CENTER, BOTTOM);
+    textStyle(BOLD);
+    textSize(40);
+    fill(0, 204, 255);
+    stroke(0);
+    strokeWeight(3);
+    
+    for (let body of bodies) {
+        let poses = getBodyPoses(body);
+        let nose = getBodyPart(body, 'nose');
+        if (poses.length === 0) continue;
+        
+        let x = nose ? nose.x : width / 2;
+        let y = nose ? max(nose.y - getShoulderWidth(body), 50) : 50;
+        text(poses.map(name => BODY_POSE_LABELS[name]).join(' + '), x, y);
+    }
+    pop();
+}
+
+// Data extraction functions
+// Face helpers check the first face unless another face is passed in, e.g. isMouthOpen(faces[1])
+function isMouthOpen(face = faces[0]) {
+    if (!face || !face.keypoints) return false;
+    
+    // Face mesh landmarks: upper lip center (13) and lower lip center (14)
+    if (face.keypoints.length >= 478) {
+        return getMouthOpenRatio(face) > calibration.mouthOpen;
+    }
+    return false;
+}
+
+function isLeftEyeOpen(face = faces[0]) {
+    if (!face || !face.keypoints) return false;
+    
+    // MediaPipe face mesh left eye landmarks (subject's left = viewer's right)
+    if (face.keypoints.length >= 478) {
+        return getLeftEyeOpenRatio(face) > calibration.leftEyeOpen;
+    }
+    return true; // Default to open if landmarks not available
+}
+
+function isRightEyeOpen(face = faces[0]) {
+    if (!face || !face.keypoints) return false;
+    
+    // MediaPipe face mesh right eye landmarks (subject's right = viewer's left)
+    if (face.keypoints.length >= 478) {
+        return getRightEyeOpenRatio(face) > calibration.rightEyeOpen;
+    }
+    return true; // Default to open if landmarks not available
+}
+
+// Size-independent measurements used by the detectors above. Face distances are
+// divided by the distance between the outer eye corners (33 and 263).
+function getFaceScale(face) {
+    return getLandmarkDistance(face.keypoints[33], face.keypoints[263]);
+}
+
+function getMouthOpenRatio(face) {
+    let scale = getFaceScale(face);
+    if (scale === 0) return 0;
+    return getLandmarkDistance(face.keypoints[13], face.keypoints[14]) / scale; // Upper and lower lip centers
+}
+
+function getLeftEyeOpenRatio(face) {
+    let scale = getFaceScale(face);
+    if (scale === 0) return 0;
+    return getLandmarkDistance(face.keypoints[159], face.keypoints[145]) / scale; // Left eye upper and lower eyelid
+}
+
+function getRightEyeOpenRatio(face) {
+    let scale = getFaceScale(face);
+    if (scale === 0) return 0;
+    return getLandmarkDistance(face.keypoints[386], face.keypoints[374]) / scale; // Right eye upper and lower eyelid
+}
+
+// Hand distances are divided by the palm size: wrist (0) to middle finger base (9)
+function getPalmSize(hand) {
+    return getLandmarkDistance(hand.keypoints[0], hand.keypoints[9]);
+}
+
+// Fingertip-to-wrist distance relative to palm size for each finger (thumb to pinky)
+function getFingertipCurlRatios(hand) {
+    let palmSize = getPalmSize(hand);
+    let ratios = [];
+    for (let tipIndex of [4, 8, 12, 16, 20]) {
+        let tip = hand.keypoints[tipIndex];
+        ratios.push(tip && palmSize > 0 ? getLandmarkDistance(hand.keypoints[0], tip) / palmSize : null);
+    }
+    return ratios;
+}
+
+// EXPRESSION SCORES
+
+// Continuous 0-1 scores for the first face (or the face passed in), or null if there is no face.
+// Everything is measured in face space so head size and tilt don't change the scores.
+function getExpressionScores(face = faces[0]) {
+    if (!face || !face.keypoints || face.keypoints.length < 478) return null;
+    
+    let scale = getFaceScale(face);
+    if (scale === 0) return null;
+    let point = (index) => toFaceSpace(face, face.keypoints[index]);
+    let score = (value, range) => constrain(map(value, range[0], range[1], 0, 1), 0, 1);
+    
+    // Eyes: eyelid gap relative to the eye's own width
+    let leftEyeRatio = getLandmarkDistance(face.keypoints[159], face.keypoints[145]) /
+                       max(getLandmarkDistance(face.keypoints[33], face.keypoints[133]), 1);
+    let rightEyeRatio = getLandmarkDistance(face.keypoints[386], face.keypoints[374]) /
+                        max(getLandmarkDistance(face.keypoints[362], face.keypoints[263]), 1);
+    
+    // Smile: mouth corners (61, 291) spread wider and rise above the lip center (13, 14)
+    let mouthWidth = getMouthWidthRatio(face);
+    let lipCenterY = (point(13).y + point(14).y) / 2;
+    let cornerLift = lipCenterY - (point(61).y + point(291).y) / 2;
+    let smile = 0.5 * score(mouthWidth - calibration.neutralMouthWidth, EXPRESSION_RANGES.smileWidth) +
+                0.5 * score(cornerLift, EXPRESSION_RANGES.smileLift);
+    
+    // Brows: distance from the middle of each brow (105, 334) to the upper eyelid (159, 386)
+    let browHeight = getBrowHeightRatio(face);
+    
+    // Jaw: chin (152) moving sideways relative to the upper lip (0)
+    let jawOffset = abs(point(152).x - point(0).x);
+    
+    // Cheek puff: cheeks (50, 280) pushed outwards, only counts with the lips closed
+    let mouthOpen = score(getMouthOpenRatio(face), EXPRESSION_RANGES.mouthOpen);
+    let cheekPuff = score(getCheekWidthRatio(face) - calibration.neutralCheekWidth, EXPRESSION_RANGES.cheekPuff) * (1 - mouthOpen);
+    
+    return {
+        leftEyeOpen: score(leftEyeRatio, EXPRESSION_RANGES.eyeOpen),
+        rightEyeOpen: score(rightEyeRatio, EXPRESSION_RANGES.eyeOpen),
+        mouthOpen: mouthOpen,
+        smile: smile,
+        browRaise: score(browHeight - calibration.neutralBrowHeight, EXPRESSION_RANGES.browRaise),
+        jawSideways: score(jawOffset, EXPRESSION_RANGES.jawSideways),
+        cheekPuff: cheekPuff
+    };
+}
+
+function getMouthWidthRatio(face) {
+    return getLandmarkDistance(face.keypoints[61], face.keypoints[291]) / getFaceScale(face);
+}
+
+function getBrowHeightRatio(face) {
+    let leftBrow = toFaceSpace(face, face.keypoints[105]).y;
+    let rightBrow = toFaceSpace(face, face.keypoints[334]).y;
+    let leftLid = toFaceSpace(face, face.keypoints[159]).y;
+    let rightLid = toFaceSpace(face, face.keypoints[386]).y;
+    return ((leftLid - leftBrow) + (rightLid - rightBrow)) / 2;
+}
+
+function getCheekWidthRatio(face) {
+    return abs(toFaceSpace(face, face.keypoints[280]).x - toFaceSpace(face, face.keypoints[50]).x);
+}
+
+// Convert a landmark to face space: origin between the outer eye corners, x along the
+// eye line (towards the right of the canvas), y pointing down the face, in eye corner distances
+function toFaceSpace(face, point) {
+    let cornerA = face.keypoints[33];
+    let cornerB = face.keypoints[263];
+    let scale = getFaceScale(face);
+    
+    let axisX = (cornerB.x - cornerA.x) / scale;
+    let axisY = (cornerB.y - cornerA.y) / scale;
+    if (axisX < 0) {
+        axisX = -axisX;
+        axisY = -axisY;
+    }
+    
+    let dx = point.x - (cornerA.x + cornerB.x) / 2;
+    let dy = point.y - (cornerA.y + cornerB.y) / 2;
+    return {
+        x: (dx * axisX + dy * axisY) / scale,
+        y: (-dx * axisY + dy * axisX) / scale
+    };
+}
+
+function getNoseCenter(face = faces[0]) {
+    if (!face || !face.keypoints) return null;
+    
+    // Face mesh nose tip is typically around index 1 or 2
+    if (face.keypoints.length > 2) {
+        return face.keypoints[1]; // Approximate nose tip
+    }
+    return null;
+}
+
+function getWristPositions() {
+    let wrists = [];
+    for (let hand of hands) {
+        if (hand.keypoints && hand.keypoints[0]) {
+            wrists.push(hand.keypoints[0]); // Wrist is index 0
+        } else {
+            wrists.push(null);
+        }
+    }
+    return wrists;
+}
+
+// Distance between the first two wrists, or null with fewer than two hands
+function getWristDistance() {
+    let wrists = getWristPositions();
+    if (wrists.length < 2 || !wrists[0] || !wrists[1]) return null;
+    return getLandmarkDistance(wrists[0], wrists[1]);
+}
+
+function getHandsOpenStatus() {
+    let handsOpen = [];
+    for (let hand of hands) {
+        handsOpen.push(!isHandFist(hand)); // Inverse of fist detection
+    }
+    return handsOpen;
+}
+
+function getAllFingertipPositions() {
+    let allFingertips = [];
+    for (let hand of hands) {
+        if (hand.keypoints) {
+            let fingertips = [
+                hand.keypoints[4],  // Thumb tip
+                hand.keypoints[8],  // Index finger tip
+                hand.keypoints[12], // Middle finger tip
+                hand.keypoints[16], // Ring finger tip
+                hand.keypoints[20]  // Pinky tip
+            ];
+            allFingertips.push(fingertips);
+        } else {
+            allFingertips.push(null);
+        }
+    }
+    return allFingertips;
+}
+
+// HAND GESTURES
+
+// Landmark indices of each finger, from the base of the palm to the tip
+const FINGER_JOINTS = {
+    thumb: [1, 2, 3, 4],
+    index: [5, 6, 7, 8],
+    middle: [9, 10, 11, 12],
+    ring: [13, 14, 15, 16],
+    pinky: [17, 18, 19, 20]
+};
+
+// Returns the recognised gestures of every hand, for example:
+// [{ id: 1, handedness: 'Right', gestures: ['peace', 'count2'], count: 2, fingers: { thumb: false, index: true, ... } }]
+function getHandGestures() {
+    return hands.map(hand => recognizeHandGesture(hand));
+}
+
+// True if any hand (or the hand passed in) shows the gesture, e.g. hasHandGesture('thumbsUp')
+function hasHandGesture(name, hand) {
+    let gestures = hand ? [recognizeHandGesture(hand)] : getHandGestures();
+    return gestures.some(result => result.gestures.includes(name));
+}
+
+function recognizeHandGesture(hand) {
+    let result = { id: hand.id, handedness: hand.handedness || null, gestures: [], count: 0, fingers: {} };
+    if (!hand.keypoints || hand.keypoints.length < 21) return result;
+    
+    // Angles come from the 3D landmarks when the model provides them, so they don't
+    // change when a finger points towards the camera
+    let points = hand.keypoints3D && hand.keypoints3D.length === 21 ? hand.keypoints3D : hand.keypoints;
+    let palmSize = getPointDistance(points[0], points[9]);
+    if (palmSize === 0) return result;
+    
+    let fingers = result.fingers;
+    for (let name in FINGER_JOINTS) {
+        let joints = [0].concat(FINGER_JOINTS[name]);
+        let threshold = name === 'thumb' ? GESTURE_THRESHOLDS.thumbExtended : GESTURE_THRESHOLDS.fingerExtended;
+        // The thumb's first joint moves a lot even when it is tucked in, so only its upper joints count
+        fingers[name] = getFingerBend(points, name === 'thumb' ? joints.slice(1) : joints) < threshold;
+    }
+    // A straight thumb lying across the palm isn't out
+    if (getPointDistance(points[4], points[5]) / palmSize < GESTURE_THRESHOLDS.thumbOut) {
+        fingers.thumb = false;
+    }
+    
+    let touching = getPointDistance(points[4], points[8]) / palmSize < GESTURE_THRESHOLDS.touching;
+    let othersFolded = !fingers.middle && !fingers.ring && !fingers.pinky;
+    let gestures = result.gestures;
+    
+    if (fingers.thumb && fingers.index && fingers.middle && fingers.ring && fingers.pinky) {
+        gestures.push('openPalm');
+    }
+    if (!fingers.index && othersFolded) {
+        if (!fingers.thumb) {
+            gestures.push('fist');
+        } else {
+            // Thumb direction uses the screen landmarks so up means up on the canvas
+            let thumbDirection = getThumbVerticalDirection(hand);
+            if (thumbDirection > GESTURE_THRESHOLDS.thumbVertical) gestures.push('thumbsUp');
+            if (thumbDirection < -GESTURE_THRESHOLDS.thumbVertical) gestures.push('thumbsDown');
+        }
+    }
+    if (fingers.index && othersFolded) {
+        gestures.push('point');
+    }
+    if (fingers.index && fingers.middle && !fingers.ring && !fingers.pinky) {
+        gestures.push('peace');
+    }
+    if (fingers.index && fingers.pinky && !fingers.middle && !fingers.ring) {
+        gestures.push('rock');
+    }
+    // Curled fingers can put the thumb next to the index tip, so a fist is never a pinch
+    if (touching && !gestures.includes('fist')) {
+        gestures.push(fingers.middle && fingers.ring && fingers.pinky ? 'ok' : 'pinch');
+    }
+    
+    result.count = Object.values(fingers).filter(extended => extended).length;
+    gestures.push(`count${result.count}`);
+    return result;
+}
+
+// Sum of the bend angles (degrees) at every joint between the first and last landmark
+function getFingerBend(points, joints) {
+    let bend = 0;
+    for (let i = 1; i < joints.length - 1; i++) {
+        bend += getJointAngle(points[joints[i - 1]], points[joints[i]], points[joints[i + 1]]);
+    }
+    return bend;
+}
+
+// Angle between the bone coming into a joint and the bone leaving it, 0 when straight
+function getJointAngle(a, b, c) {
+    let first = { x: b.x - a.x, y: b.y - a.y, z: (b.z || 0) - (a.z || 0) };
+    let second = { x: c.x - b.x, y: c.y - b.y, z: (c.z || 0) - (b.z || 0) };
+    let lengths = Math.hypot(first.x, first.y, first.z) * Math.hypot(second.x, second.y, second.z);
+    if (lengths === 0) return 0;
+    
+    let cosine = (first.x * second.x + first.y * second.y + first.z * second.z) / lengths;
+    return degrees(Math.acos(constrain(cosine, -1, 1)));
+}
+
+function getPointDistance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, (a.z || 0) - (b.z || 0));
+}
+
+// 1 when the thumb points straight up on the canvas, -1 straight down
+function getThumbVerticalDirection(hand) {
+    let base = hand.keypoints[2];
+    let tip = hand.keypoints[4];
+    let length = dist(base.x, base.y, tip.x, tip.y);
+    return length > 0 ? (base.y - tip.y) / length : 0;
+}
+
+function getGestureLabels(result) {
+    return result.gestures.map(name => GESTURE_LABELS[name] || name);
+}
+
+// EYE EVENTS
+
+// Called with every face detection. An episode starts when either eye closes and ends when
+// both are open again; how long each eye was closed decides if it was a blink or a wink.
+function updateEyeEvents(detections) {
+    let now = millis();
+    let activeStates = {};
+    
+    for (let face of detections) {
+        if (!face.keypoints || face.keypoints.length < 468) continue;
+        
+        let state = eyeEventStates[face.id] || {
+            firstSeen: now,
+            lastUpdate: now,
+            leftClosed: false,
+            rightClosed: false,
+            episode: null,
+            counts: { blink: 0, leftWink: 0, rightWink: 0 },
+            blinkTimes: []
+        };
+        activeStates[face.id] = state;
+        
+        // The time since the last detection counts for the eyes that were closed then
+        let elapsed = now - state.lastUpdate;
+        if (state.episode) {
+            if (state.leftClosed) state.episode.left += elapsed;
+            if (state.rightClosed) state.episode.right += elapsed;
+            if (state.leftClosed && state.rightClosed) state.episode.both += elapsed;
+        }
+        
+        state.leftClosed = !isLeftEyeOpen(face);
+        state.rightClosed = !isRightEyeOpen(face);
+        state.lastUpdate = now;
+        
+        if ((state.leftClosed || state.rightClosed) && !state.episode) {
+            state.episode = { start: now, left: 0, right: 0, both: 0 };
+        } else if (!state.leftClosed && !state.rightClosed && state.episode) {
+            let type = classifyEyeEpisode(state.episode);
+            if (type) {
+                emitEyeEvent(state, {
+                    type: type,
+                    face: face.id,
+                    duration: Math.round(max(state.episode.left, state.episode.right)),
+                    startTime: state.episode.start
+                });
+            }
+            state.episode = null;
+        }
+        
+        state.blinkTimes = state.blinkTimes.filter(time => now - time < 60000);
+    }
+    
+    // Faces that are gone lose their counters
+    eyeEventStates = activeStates;
+}
+
+// Returns 'blink', 'leftWink', 'rightWink' or null when it was neither
+function classifyEyeEpisode(episode) {
+    let closed = max(episode.left, episode.right);
+    if (closed === 0) return null;
+    
+    if (episode.both >= EYE_EVENT_TIMING.symmetry * closed && closed <= EYE_EVENT_TIMING.blinkMax) {
+        return 'blink';
+    }
+    
+    let isWink = (eye, other) => eye >= EYE_EVENT_TIMING.winkMin && eye <= EYE_EVENT_TIMING.winkMax &&
+        other <= EYE_EVENT_TIMING.otherEyeMax * eye;
+    if (isWink(episode.left, episode.right)) return 'leftWink';
+    if (isWink(episode.right, episode.left)) return 'rightWink';
+    return null;
+}
+
+// Blinks in the last minute. Until a face has been seen for a minute the count is scaled up.
+function getBlinksPerMinute(faceId) {
+    let state = eyeEventStates[faceId];
+    if (!state) return 0;
+    
+    let span = constrain(millis() - state.firstSeen, 10000, 60000); // At least 10s so one blink isn't 60/min
+    return state.blinkTimes.length * 60000 / span;
+}
+
+// Run your own code when someone blinks or winks, for example:
+// onEyeEvent(event => { if (event.type === 'leftWink') nextColor(); });
+// The event has: type ('blink', 'leftWink' or 'rightWink'), face (the face id), duration, startTime and time
+function onEyeEvent(callback) {
+    eyeEventListeners.push(callback);
+}
+
+function emitEyeEvent(state, event) {
+    event.time = millis();
+    state.counts[event.type]++;
+    if (event.type === 'blink') {
+        state.blinkTimes.push(event.time);
+    }
+    
+    eyeEvents.push(event);
+    if (eyeEvents.length > 8) eyeEvents.shift();
+    
+    for (let callback of eyeEventListeners) {
+        callback(event);
+    }
+    
+    if (networkOutputEnabled) {
+        sendNetworkMessage({
+            type: 'eye',
+            timestamp: Date.now(),
+            event: { type: event.type, face: event.face, duration: event.duration },
+            osc: [{ address: `${networkSettings.oscPrefix}/face/${event.face}/${event.type}`, args: [event.duration] }]
+        });
+    }
+}
+
+// True if the face (or any face) had this eye event in the last few hundred milliseconds
+function hasRecentEyeEvent(type, faceId, within = 300) {
+    return eyeEvents.some(event => event.type === type && millis() - event.time < within &&
+        (faceId === undefined || event.face === faceId));
+}
+
+// HEAD POSE
+
+// The direction the head's own axes point on screen, from the 3D face landmarks:
+// x along the outer eye corners (33, 263) towards the right of the canvas, y from the
+// forehead (10) to the chin (152) and z into the screen, out of the back of the head. Unit vectors.
+function getHeadAxes(face = faces[0]) {
+    if (!face || !face.keypoints || face.keypoints.length < 468) return null;
+    
+    let points = face.keypoints;
+    let across = normalizeVector(subtractPoints(points[263], points[33]));
+    let down = subtractPoints(points[152], points[10]);
+    if (!across || !normalizeVector(down)) return null;
+    
+    // Which corner is on the right depends on whether the video is mirrored
+    if (across.x < 0) {
+        across = { x: -across.x, y: -across.y, z: -across.z };
+    }
+    
+    // Make down exactly perpendicular to across, then z is perpendicular to both
+    let overlap = dotVectors(down, across);
+    let y = normalizeVector({ x: down.x - across.x * overlap, y: down.y - across.y * overlap, z: down.z - across.z * overlap });
+    if (!y) return null;
+    let z = crossVectors(across, y);
+    return { x: across, y: y, z: z };
+}
+
+// Yaw, pitch and roll in degrees for the first face (or the face passed in), or null.
+// 0, 0, 0 is looking straight at the camera. Positive yaw turns towards the right of the
+// canvas, positive pitch looks up and positive roll tilts clockwise on screen.
+function getHeadPose(face = faces[0]) {
+    let axes = getHeadAxes(face);
+    if (!axes) return null;
+    
+    return {
+        yaw: degrees(Math.atan2(-axes.z.x, axes.z.z)),
+        pitch: degrees(Math.atan2(axes.z.y, Math.hypot(axes.z.x, axes.z.z))),
+        roll: degrees(Math.atan2(axes.x.y, axes.x.x))
+    };
+}
+
+function subtractPoints(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: (a.z || 0) - (b.z || 0) };
+}
+
+function dotVectors(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function crossVectors(a, b) {
+    return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+}
+
+// The same direction with length 1, or null for a zero vector
+function normalizeVector(v) {
+    let length = Math.hypot(v.x, v.y, v.z);
+    return length === 0 ? null : { x: v.x / length, y: v.y / length, z: v.z / length };
+}
+
+// Red, green and blue lines from the nose along the head's x, y and forward axes
+function drawHeadAxes(face) {
+    let axes = getHeadAxes(face);
+    let nose = getNoseCenter(face);
+    let pose = getHeadPose(face);
+    if (!axes || !nose) return;
+    
+    let length = getFaceScale(face) * 0.6;
+    let forward = { x: -axes.z.x, y: -axes.z.y }; // Towards the camera when looking straight on
+    
+    push();
+    strokeWeight(3);
+    stroke(255, 60, 60);
+    line(nose.x, nose.y, nose.x + axes.x.x * length, nose.y + axes.x.y * length);
+    stroke(60, 255, 60);
+    line(nose.x, nose.y, nose.x - axes.y.x * length, nose.y - axes.y.y * length); // Drawn pointing up
+    stroke(60, 140, 255);
+    line(nose.x, nose.y, nose.x + forward.x * length, nose.y + forward.y * length);
+    
+    noStroke();
+    fill(255, 255, 0);
+    textAlign(LEFT);
+    textSize(11);
+    text(`Yaw ${pose.yaw.toFixed(0)}° Pitch ${pose.pitch.toFixed(0)}° Roll ${pose.roll.toFixed(0)}°`,
+         nose.x + 10, nose.y + length + 15);
+    pop();
+}
+
+// Called with every face detection. Keeps each face's recent head angles and looks for
+// nods (pitch going up and down) and shakes (yaw going side to side) in them.
+function updateHeadGestures(detections) {
+    let now = millis();
+    let activeHistory = {};
+    
+    for (let face of detections) {
+        let pose = getHeadPose(face);
+        if (!pose) continue;
+        
+        let history = headPoseHistory[face.id] || [];
+        history.push({ time: now, yaw: pose.yaw, pitch: pose.pitch });
+        history = history.filter(sample => now - sample.time <= HEAD_POSE_THRESHOLDS.window);
+        activeHistory[face.id] = history;
+        
+        if (now < (headGestureCooldowns[face.id] || 0) || history.length < 4) continue;
+        
+        let nods = countAngleSwings(history.map(sample => sample.pitch));
+        let shakes = countAngleSwings(history.map(sample => sample.yaw));
+        if (max(nods, shakes) < HEAD_POSE_THRESHOLDS.swings) continue;
+        
+        emitHeadGesture({
+            type: nods > shakes ? 'nod' : 'shake',
+            face: face.id,
+            confidence: min(1, max(nods, shakes) / (HEAD_POSE_THRESHOLDS.swings + 2)),
+            startTime: history[0].time,
+            endTime: now
+        });
+        headGestureCooldowns[face.id] = now + HEAD_POSE_THRESHOLDS.cooldown;
+        activeHistory[face.id] = []; // Start over so the same movement isn't reported twice
+    }
+    
+    // Faces that are gone lose their history
+    headPoseHistory = activeHistory;
+}
+
+// How many times the angle changed direction after moving at least the swing angle,
+// works like the wave detector in MOTION GESTURES
+function countAngleSwings(angles) {
+    let swings = 0;
+    let direction = 0; // 1 increasing, -1 decreasing
+    let extreme = angles[0]; // Furthest angle reached in the current direction
+    
+    for (let angle of angles) {
+        let movement = abs(angle - extreme);
+        
+        if (direction === 0) {
+            if (movement >= HEAD_POSE_THRESHOLDS.swing) {
+                direction = Math.sign(angle - extreme);
+                extreme = angle;
+            }
+        } else if ((angle - extreme) * direction > 0) {
+            extreme = angle; // Still going the same way
+        } else if (movement >= HEAD_POSE_THRESHOLDS.swing) {
+            swings++;
+            direction = -direction;
+            extreme = angle;
+        }
+    }
+    return swings;
+}
+
+// Run your own code when someone nods or shakes their head, for example:
+// onHeadGesture(event => { if (event.type === 'nod') acceptAnswer(); });
+// The event has: type ('nod' or 'shake'), face (the face id), confidence (0-1), startTime, endTime and time
+function onHeadGesture(callback) {
+    headGestureListeners.push(callback);
+}
+
+function emitHeadGesture(event) {
+    event.time = millis();
+    event.confidence = Math.round(event.confidence * 100) / 100;
+    
+    headGestureEvents.push(event);
+    if (headGestureEvents.length > 8) headGestureEvents.shift();
+    
+    for (let callback of headGestureListeners) {
+        callback(event);
+    }
+    
+    if (networkOutputEnabled) {
+        sendNetworkMessage({
+            type: 'head',
+            timestamp: Date.now(),
+            event: { type: event.type, face: event.face, confidence: event.confidence },
+            osc: [{ address: `${networkSettings.oscPrefix}/face/${event.face}/${event.type}`, args: [event.confidence] }]
+        });
+    }
+}
+
+// True if the face (or any face) nodded or shook its head in the last few hundred milliseconds
+function hasRecentHeadGesture(type, faceId, within = 300) {
+    return headGestureEvents.some(event => event.type === type && millis() - event.time < within &&
+        (faceId === undefined || event.face === faceId));
+}
+
+// GAZE
+
+// The refined face mesh adds the irises: 468 is the center of the iris in the eye with
+// corners 33/133 (the "left eye" of isLeftEyeOpen), 473 the one in the eye with corners 362/263
+const EYE_LANDMARKS = {
+    left: { iris: 468, cornerA: 33, cornerB: 133, upperLid: 159, lowerLid: 145 },
+    right: { iris: 473, cornerA: 362, cornerB: 263, upperLid: 386, lowerLid: 374 }
+};
+
+// Iris centers of the first face (or the face passed in), or null without refined landmarks
+function getIrisCenters(face = faces[0]) {
+    if (!face || !face.keypoints || face.keypoints.length < 478) return null;
+    return { left: face.keypoints[EYE_LANDMARKS.left.iris], right: face.keypoints[EYE_LANDMARKS.right.iris] };
+}
+
+// Where the iris sits in the eye, in eye widths from the middle of the eye:
+// x positive towards the right of the canvas, y positive downwards
+function getEyeGazeDirection(face, side) {
+    let eye = EYE_LANDMARKS[side];
+    let point = (index) => toFaceSpace(face, face.keypoints[index]);
+    let cornerA = point(eye.cornerA);
+    let cornerB = point(eye.cornerB);
+    let iris = point(eye.iris);
+    
+    let eyeWidth = max(abs(cornerB.x - cornerA.x), 0.01);
+    let centerX = (cornerA.x + cornerB.x) / 2;
+    let centerY = (point(eye.upperLid).y + point(eye.lowerLid).y) / 2;
+    return { x: (iris.x - centerX) / eyeWidth, y: (iris.y - centerY) / eyeWidth };
+}
+
+// Where the first face (or the face passed in) is looking, or null:
+// { x, y } from 0 to 1 across the canvas, region ('top-left', 'center'...), the iris
+// centers (leftIris, rightIris) and each eye's own direction (leftEye, rightEye)
+function getGaze(face = faces[0]) {
+    let irises = getIrisCenters(face);
+    let pose = getHeadPose(face);
+    if (!irises || !pose) return null;
+    
+    let leftEye = getEyeGazeDirection(face, 'left');
+    let rightEye = getEyeGazeDirection(face, 'right');
+    let features = getGazeFeatures(leftEye, rightEye, pose);
+    
+    let x, y;
+    if (gazeCalibration) {
+        x = dotWeights(gazeCalibration.x, features);
+        y = dotWeights(gazeCalibration.y, features);
+    } else {
+        // Eyes and head both move the gaze, each reaching the edge on its own
+        x = 0.5 + 0.5 * (features[0] / GAZE_SETTINGS.eyeRange + features[2] / GAZE_SETTINGS.headRange);
+        y = 0.5 + 0.5 * (features[1] / GAZE_SETTINGS.eyeRange - features[3] / GAZE_SETTINGS.headRange);
+    }
+    x = constrain(x, 0, 1);
+    y = constrain(y, 0, 1);
+    
+    return {
+        x: x,
+        y: y,
+        region: getGazeRegion(x, y),
+        leftIris: irises.left,
+        rightIris: irises.right,
+        leftEye: leftEye,
+        rightEye: rightEye
+    };
+}
+
+// What the gaze estimate is calculated from: both eyes' average direction, head yaw and pitch,
+// and a constant so calibration can learn an offset
+function getGazeFeatures(leftEye, rightEye, pose) {
+    return [(leftEye.x + rightEye.x) / 2, (leftEye.y + rightEye.y) / 2, pose.yaw, pose.pitch, 1];
+}
+
+function dotWeights(weights, features) {
+    return weights.reduce((sum, weight, i) => sum + weight * features[i], 0);
+}
+
+function getGazeRegion(x, y) {
+    let column = min(floor(x * 3), 2);
+    let row = min(floor(y * 3), 2);
+    return GAZE_REGIONS[row][column];
+}
+
+// A cursor where each face is looking, plus rings around the irises
+function drawGazeCursors() {
+    let activeCursors = {};
+    
+    push();
+    for (let face of faces) {
+        let gaze = getGaze(face);
+        if (!gaze) continue;
+        
+        // Smoothed, the raw estimate jumps around with every small eye movement
+        let target = { x: gaze.x * width, y: gaze.y * height };
+        let cursor = gazeCursors[face.id] || target;
+        cursor = {
+            x: lerp(cursor.x, target.x, GAZE_SETTINGS.cursorSmoothing),
+            y: lerp(cursor.y, target.y, GAZE_SETTINGS.cursorSmoothing)
+        };
+        activeCursors[face.id] = cursor;
+        
+        noFill();
+        stroke(0, 255, 255);
+        strokeWeight(1);
+        for (let iris of [gaze.leftIris, gaze.rightIris]) {
+            ellipse(iris.x, iris.y, pointSize * 2, pointSize * 2);
+        }
+        
+        strokeWeight(3);
+        ellipse(cursor.x, cursor.y, 40, 40);
+        line(cursor.x - 10, cursor.y, cursor.x + 10, cursor.y);
+        line(cursor.x, cursor.y - 10, cursor.x, cursor.y + 10);
+        
+        if (faces.length > 1) {
+            noStroke();
+            fill(0, 255, 255);
+            textAlign(CENTER);
+            textSize(12);
+            text(`Face ${face.id}`, cursor.x, cursor.y + 36);
+        }
+    }
+    pop();
+    
+    // Faces that are gone lose their cursor
+    gazeCursors = activeCursors;
+}
+
+// Gaze calibration: look at each target in turn, then the gaze features are fitted to the
+// target positions with least squares
+
+function startGazeCalibration() {
+    gazeCalibrationWizard = {
+        targetIndex: 0,
+        phase: 'settle', // settle (eyes move to the target) or capture
+        phaseStart: millis(),
+        samples: [] // { features, target }
+    };
+    updateGazeCalibrationControls();
+}
+
+function cancelGazeCalibration() {
+    gazeCalibrationWizard = null;
+    updateGazeCalibrationControls();
+}
+
+// Called every frame from draw() while the gaze calibration is running
+function updateGazeCalibration() {
+    let wizard = gazeCalibrationWizard;
+    let target = GAZE_CALIBRATION_TARGETS[wizard.targetIndex];
+    let elapsed = millis() - wizard.phaseStart;
+    
+    if (wizard.phase === 'settle') {
+        if (elapsed >= GAZE_SETTINGS.settleTime) {
+            wizard.phase = 'capture';
+            wizard.phaseStart = millis();
+        }
+        return;
+    }
+    
+    let face = faces[0];
+    let pose = getHeadPose(face);
+    if (pose && getIrisCenters(face)) {
+        wizard.samples.push({
+            features: getGazeFeatures(getEyeGazeDirection(face, 'left'), getEyeGazeDirection(face, 'right'), pose),
+            target: target
+        });
+    }
+    
+    if (elapsed < GAZE_SETTINGS.captureTime) return;
+    
+    wizard.targetIndex++;
+    wizard.phase = 'settle';
+    wizard.phaseStart = millis();
+    if (wizard.targetIndex >= GAZE_CALIBRATION_TARGETS.length) {
+        finishGazeCalibration();
+    }
+}
+
+function finishGazeCalibration() {
+    let samples = gazeCalibrationWizard.samples;
+    gazeCalibrationWizard = null;
+    
+    // Every target needs to have been seen, otherwise the fit can't tell the edges apart
+    let targetsSeen = new Set(samples.map(sample => sample.target)).size;
+    let weightsX = fitLeastSquares(samples.map(sample => sample.features), samples.map(sample => sample.target[0]));
+    let weightsY = fitLeastSquares(samples.map(sample => sample.features), samples.map(sample => sample.target[1]));
+    
+    if (targetsSeen < GAZE_CALIBRATION_TARGETS.length || !weightsX || !weightsY) {
+        updateStatus("⚠️ Gaze calibration failed, keep your face in view and try again");
+    } else {
+        gazeCalibration = { x: weightsX, y: weightsY };
+        saveGazeCalibration();
+        updateStatus("✅ Gaze calibration saved");
+        console.log("Gaze calibration saved:", gazeCalibration);
+    }
+    updateGazeCalibrationControls();
+}
+
+// Weights w so that features . w is as close as possible to each value, solved with the
+// normal equations (a little ridge regularisation keeps them stable). Null if unsolvable.
+function fitLeastSquares(rows, values) {
+    if (rows.length === 0) return null;
+    let size = rows[0].length;
+    
+    let matrix = [];
+    for (let i = 0; i < size; i++) {
+        matrix.push(new Array(size + 1).fill(0));
+        matrix[i][i] = 1e-6;
+    }
+    rows.forEach((row, r) => {
+        for (let i = 0; i < size; i++) {
+            for (let j = 0; j < size; j++) {
+                matrix[i][j] += row[i] * row[j];
+            }
+            matrix[i][size] += row[i] * values[r];
+        }
+    });
+    
+    // Gaussian elimination with partial pivoting
+    for (let col = 0; col < size; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < size; row++) {
+            if (abs(matrix[row][col]) > abs(matrix[pivot][col])) pivot = row;
+        }
+        if (abs(matrix[pivot][col]) < 1e-12) return null;
+        [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+        
+        for (let row = 0; row < size; row++) {
+            if (row === col) continue;
+            let factor = matrix[row][col] / matrix[col][col];
+            for (let k = col; k <= size; k++) {
+                matrix[row][k] -= factor * matrix[col][k];
+            }
+        }
+    }
+    return matrix.map((row, i) => row[size] / row[i]);
+}
+
+function loadGazeCalibration() {
+    try {
+        return JSON.parse(localStorage.getItem(GAZE_CALIBRATION_STORAGE_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+function saveGazeCalibration() {
+    try {
+        localStorage.setItem(GAZE_CALIBRATION_STORAGE_KEY, JSON.stringify(gazeCalibration));
+    } catch (error) {
+        console.error("Could not save gaze calibration:", error);
+    }
+}
+
+function resetGazeCalibration() {
+    gazeCalibration = null;
+    try {
+        localStorage.removeItem(GAZE_CALIBRATION_STORAGE_KEY);
+    } catch (error) {
+        console.error("Could not clear gaze calibration:", error);
+    }
+    updateGazeCalibrationControls();
+}
+
+function drawGazeCalibrationOverlay() {
+    let wizard = gazeCalibrationWizard;
+    let target = GAZE_CALIBRATION_TARGETS[wizard.targetIndex];
+    let x = target[0] * width;
+    let y = target[1] * height;
+    
+    push();
+    fill(0, 180);
+    noStroke();
+    rect(0, 0, width, height);
+    
+    fill(255);
+    textAlign(CENTER, CENTER);
+    textSize(16);
+    text(`GAZE CALIBRATION ${wizard.targetIndex + 1}/${GAZE_CALIBRATION_TARGETS.length} - keep looking at the dot`, width / 2, height / 2 + (target[1] === 0.5 ? 60 : 0));
+    
+    // The dot shrinks while it is being measured
+    let progress = wizard.phase === 'capture' ? constrain((millis() - wizard.phaseStart) / GAZE_SETTINGS.captureTime, 0, 1) : 0;
+    fill(wizard.phase === 'capture' ? color(0, 255, 0) : color(255, 255, 0));
+    ellipse(x, y, 40 - progress * 25, 40 - progress * 25);
+    fill(0);
+    ellipse(x, y, 6, 6);
+    pop();
+}
+
+function updateGazeCalibrationControls() {
+    document.getElementById('gazeCalibrateButton').textContent = gazeCalibrationWizard ? 'Cancel Gaze Calibration' : 'Calibrate Gaze';
+    document.getElementById('gazeCalibrationInfo').textContent = gazeCalibration ? 'Gaze: calibrated' : 'Gaze: not calibrated';
+}
+
+// BODY POSE
+
+// Keypoints below this confidence are usually off screen or hidden and are ignored
+const BODY_MIN_CONFIDENCE = 0.3;
+
+// Skeleton lines by keypoint name, these names are the same in MoveNet and BlazePose
+const BODY_CONNECTIONS = [
+    ['left_shoulder', 'right_shoulder'], ['left_hip', 'right_hip'],
+    ['left_shoulder', 'left_hip'], ['right_shoulder', 'right_hip'],
+    ['left_shoulder', 'left_elbow'], ['left_elbow', 'left_wrist'],
+    ['right_shoulder', 'right_elbow'], ['right_elbow', 'right_wrist'],
+    ['left_hip', 'left_knee'], ['left_knee', 'left_ankle'],
+    ['right_hip', 'right_knee'], ['right_knee', 'right_ankle'],
+    ['nose', 'left_eye'], ['nose', 'right_eye'], ['left_eye', 'left_ear'], ['right_eye', 'right_ear']
+];
+
+function isBodyKeypointVisible(keypoint) {
+    // Older models call it score, newer ones confidence
+    let confidence = keypoint.confidence !== undefined ? keypoint.confidence : keypoint.score;
+    return confidence === undefined || confidence >= BODY_MIN_CONFIDENCE;
+}
+
+// A keypoint by name, e.g. getBodyPart(bodies[0], 'left_knee'), or null if it isn't visible
+function getBodyPart(body, name) {
+    if (!body || !body.keypoints) return null;
+    let keypoint = body.keypoints.find(point => point.name === name);
+    return keypoint && isBodyKeypointVisible(keypoint) ? keypoint : null;
+}
+
+// Shoulder to shoulder distance, body distances are relative to it
+function getShoulderWidth(body) {
+    let left = getBodyPart(body, 'left_shoulder');
+    let right = getBodyPart(body, 'right_shoulder');
+    return left && right ? getLandmarkDistance(left, right) : 0;
+}
+
+// Both wrists clearly above the head
+function isArmsRaised(body) {
+    let nose = getBodyPart(body, 'nose');
+    let leftWrist = getBodyPart(body, 'left_wrist');
+    let rightWrist = getBodyPart(body, 'right_wrist');
+    let shoulderWidth = getShoulderWidth(body);
+    if (!nose || !leftWrist || !rightWrist || shoulderWidth === 0) return false;
+    
+    return nose.y - leftWrist.y > shoulderWidth * 0.3 && nose.y - rightWrist.y > shoulderWidth * 0.3;
+}
+
+// Both arms straight out to the sides at shoulder height
+function isTPose(body) {
+    let shoulderWidth = getShoulderWidth(body);
+    if (shoulderWidth === 0) return false;
+    
+    return ['left', 'right'].every(side => {
+        let shoulder = getBodyPart(body, `${side}_shoulder`);
+        let elbow = getBodyPart(body, `${side}_elbow`);
+        let wrist = getBodyPart(body, `${side}_wrist`);
+        if (!shoulder || !elbow || !wrist) return false;
+        
+        let level = abs(wrist.y - shoulder.y) < shoulderWidth * 0.35 && abs(elbow.y - shoulder.y) < shoulderWidth * 0.35;
+        let outstretched = abs(wrist.x - shoulder.x) > shoulderWidth * 1.1;
+        return level && outstretched;
+    });
+}
+
+// Both knees bent well past straight
+function isSquatting(body) {
+    return ['left', 'right'].every(side => {
+        let hip = getBodyPart(body, `${side}_hip`);
+        let knee = getBodyPart(body, `${side}_knee`);
+        let ankle = getBodyPart(body, `${side}_ankle`);
+        return hip && knee && ankle && getJointAngle(hip, knee, ankle) > 70;
+    });
+}
+
+// The named poses a body is making, e.g. ['armsRaised']
+function getBodyPoses(body = bodies[0]) {
+    if (!body) return [];
+    
+    let poses = [];
+    if (isArmsRaised(body)) poses.push('armsRaised');
+    if (isTPose(body)) poses.push('tPose');
+    if (isSquatting(body)) poses.push('squat');
+    return poses;
+}
+
+// MOTION GESTURES
+
+// Called with every hand detection. Keeps a short history of each hand's movement and
+// looks for swipes, circles, waves and push/pull in it.
+function updateMotionGestures(detections) {
+    let now = millis();
+    let activeHistory = {};
+    
+    for (let hand of detections) {
+        if (!hand.keypoints || !hand.keypoints[8]) continue;
+        
+        let history = motionHistory[hand.id] || [];
+        history.push({
+            time: now,
+            wrist: { x: hand.keypoints[0].x, y: hand.keypoints[0].y },
+            tip: { x: hand.keypoints[8].x, y: hand.keypoints[8].y }, // Index finger tip
+            size: getPalmSize(hand)
+        });
+        history = history.filter(sample => now - sample.time <= MOTION_THRESHOLDS.window);
+        activeHistory[hand.id] = history;
+        
+        if (now < (motionCooldowns[hand.id] || 0) || history.length < 4) continue;
+        
+        let gesture = detectSwipe(history) || detectCircle(history) || detectWave(history) || detectPush(history);
+        if (gesture) {
+            emitMotionGesture(Object.assign(gesture, {
+                hand: hand.id,
+                startTime: history[0].time,
+                endTime: now
+            }));
+            motionCooldowns[hand.id] = now + MOTION_THRESHOLDS.cooldown;
+            activeHistory[hand.id] = []; // Start over so the same movement isn't reported twice
+        }
+    }
+    
+    // Hands that are gone lose their history
+    motionHistory = activeHistory;
+}
+
+// Straight, fast wrist movement. Returns { type, confidence } or null, like the other detectors.
+function detectSwipe(history) {
+    let latest = history[history.length - 1];
+    let recent = history.filter(sample => latest.time - sample.time <= MOTION_THRESHOLDS.swipeTime);
+    if (recent.length < 3) return null;
+    
+    let first = recent[0];
+    let scale = getAverageHandSize(recent);
+    let dx = (latest.wrist.x - first.wrist.x) / scale;
+    let dy = (latest.wrist.y - first.wrist.y) / scale;
+    let distance = Math.hypot(dx, dy);
+    let straightness = distance / max(getPathLength(recent, 'wrist') / scale, 0.0001);
+    
+    if (distance < MOTION_THRESHOLDS.swipeDistance || straightness < MOTION_THRESHOLDS.straightness) return null;
+    
+    let type;
+    if (abs(dx) > abs(dy)) {
+        type = dx < 0 ? 'swipeLeft' : 'swipeRight';
+    } else {
+        type = dy < 0 ? 'swipeUp' : 'swipeDown';
+    }
+    return { type: type, confidence: min(1, distance / (MOTION_THRESHOLDS.swipeDistance * 2)) * straightness };
+}
+
+// The index fingertip going round its average position
+function detectCircle(history) {
+    let center = { x: 0, y: 0 };
+    for (let sample of history) {
+        center.x += sample.tip.x / history.length;
+        center.y += sample.tip.y / history.length;
+    }
+    
+    let scale = getAverageHandSize(history);
+    let radius = 0;
+    let turned = 0; // Radians, positive is clockwise on screen because y points down
+    let previousAngle = null;
+    for (let sample of history) {
+        radius += dist(sample.tip.x, sample.tip.y, center.x, center.y) / scale / history.length;
+        let angle = Math.atan2(sample.tip.y - center.y, sample.tip.x - center.x);
+        if (previousAngle !== null) {
+            let delta = angle - previousAngle;
+            if (delta > PI) delta -= TWO_PI;
+            if (delta < -PI) delta += TWO_PI;
+            turned += delta;
+        }
+        previousAngle = angle;
+    }
+    
+    let turns = abs(turned) / TWO_PI;
+    if (turns < MOTION_THRESHOLDS.circleTurn || radius < MOTION_THRESHOLDS.circleRadius) return null;
+    
+    return {
+        type: turned > 0 ? 'circleClockwise' : 'circleCounterClockwise',
+        confidence: min(1, turns)
+    };
+}
+
+// The wrist moving side to side, changing direction several times
+function detectWave(history) {
+    let scale = getAverageHandSize(history);
+    let reversals = 0;
+    let direction = 0; // 1 moving right, -1 moving left
+    let extreme = history[0].wrist.x; // Furthest point reached in the current direction
+    
+    for (let sample of history) {
+        let x = sample.wrist.x;
+        let movement = abs(x - extreme) / scale;
+        
+        if (direction === 0) {
+            if (movement >= MOTION_THRESHOLDS.waveAmplitude) {
+                direction = Math.sign(x - extreme);
+                extreme = x;
+            }
+        } else if ((x - extreme) * direction > 0) {
+            extreme = x; // Still going the same way
+        } else if (movement >= MOTION_THRESHOLDS.waveAmplitude) {
+            // Came back far enough the other way
+            reversals++;
+            direction = -direction;
+            extreme = x;
+        }
+    }
+    
+    if (reversals < MOTION_THRESHOLDS.waveReversals) return null;
+    return { type: 'wave', confidence: min(1, reversals / (MOTION_THRESHOLDS.waveReversals + 2)) };
+}
+
+// The hand getting bigger (moving towards the camera) or smaller without moving much sideways
+function detectPush(history) {
+    let first = history[0];
+    let latest = history[history.length - 1];
+    if (first.size === 0 || latest.size === 0) return null;
+    
+    let scaleChange = latest.size / first.size;
+    let sideways = dist(latest.wrist.x, latest.wrist.y, first.wrist.x, first.wrist.y) / getAverageHandSize(history);
+    if (sideways > 1.5) return null;
+    
+    let type = null;
+    if (scaleChange >= MOTION_THRESHOLDS.pushScale) type = 'push';
+    if (scaleChange <= 1 / MOTION_THRESHOLDS.pushScale) type = 'pull';
+    if (!type) return null;
+    
+    let amount = abs(Math.log(scaleChange)) / Math.log(MOTION_THRESHOLDS.pushScale);
+    return { type: type, confidence: min(1, amount / 2) };
+}
+
+function getAverageHandSize(history) {
+    let total = 0;
+    for (let sample of history) {
+        total += sample.size;
+    }
+    return max(total / history.length, 1);
+}
+
+function getPathLength(history, key) {
+    let length = 0;
+    for (let i = 1; i < history.length; i++) {
+        length += dist(history[i - 1][key].x, history[i - 1][key].y, history[i][key].x, history[i][key].y);
+    }
+    return length;
+}
+
+// Run your own code when a hand makes a motion gesture, for example:
+// onMotionGesture(event => { if (event.type === 'swipeLeft') previousSlide(); });
+// The event has: type, hand (the hand id), confidence (0-1), startTime, endTime and time
+function onMotionGesture(callback) {
+    motionListeners.push(callback);
+}
+
+function emitMotionGesture(event) {
+    event.time = millis();
+    event.confidence = Math.round(event.confidence * 100) / 100;
+    
+    motionEvents.push(event);
+    if (motionEvents.length > 8) motionEvents.shift();
+    
+    for (let callback of motionListeners) {
+        callback(event);
+    }
+    
+    // Sent as they happen, like enter/leave events
+    if (networkOutputEnabled) {
+        sendNetworkMessage({
+            type: 'motion',
+            timestamp: Date.now(),
+            event: { type: event.type, hand: event.hand, confidence: event.confidence },
+            osc: [{
+                address: `${networkSettings.oscPrefix}/hand/${event.hand}/motion`,
+                args: [event.type, event.confidence]
+            }]
+        });
+    }
+}
+
+// GESTURE TRAINING
+
+// Hand landmarks relative to the wrist, divided by the palm size, so a gesture looks the
+// same anywhere on screen and at any distance from the camera. 21 points -> 42 numbers.
+function getGestureInputs(hand) {
+    if (!hand.keypoints || hand.keypoints.length < 21) return null;
+    
+    let wrist = hand.keypoints[0];
+    let palmSize = getPalmSize(hand);
+    if (palmSize === 0) return null;
+    
+    let inputs = [];
+    for (let point of hand.keypoints) {
+        inputs.push((point.x - wrist.x) / palmSize, (point.y - wrist.y) / palmSize);
+    }
+    return inputs;
+}
+
+function startGestureRecording() {
+    if (!gestureClassLabel) {
+        updateStatus("⚠️ Name the gesture before recording");
+        return;
+    }
+    isRecordingGestureSamples = true;
+    updateStatus(`🔴 Recording samples of "${gestureClassLabel}"`);
+    updateGestureTrainingControls();
+}
+
+function stopGestureRecording() {
+    isRecordingGestureSamples = false;
+    updateStatus(`⏹️ ${gestureSamples.length} gesture samples recorded`);
+    updateGestureTrainingControls();
+}
+
+// Called every frame from draw() while recording, adds one sample per hand for every new detection
+function recordGestureSamples() {
+    let history = detectionHistory.hands;
+    if (history.length === 0) return;
+    
+    let latest = history[history.length - 1];
+    if (latest.time === lastGestureSampleTime) return;
+    lastGestureSampleTime = latest.time;
+    
+    for (let hand of latest.results) {
+        let inputs = getGestureInputs(hand);
+        if (inputs) {
+            gestureSamples.push({ label: gestureClassLabel, inputs: inputs });
+        }
+    }
+    
+    if (frameCount % 10 === 0) {
+        updateGestureTrainingControls();
+    }
+}
+
+// Number of samples of each class, e.g. { wave: 40, stop: 35 }
+function getGestureSampleCounts() {
+    let counts = {};
+    for (let sample of gestureSamples) {
+        counts[sample.label] = (counts[sample.label] || 0) + 1;
+    }
+    return counts;
+}
+
+function clearGestureSamples() {
+    gestureSamples = [];
+    updateStatus("🗑️ Gesture samples cleared");
+    updateGestureTrainingControls();
+}
+
+// Trains a new network on every recorded sample
+function trainGestureClassifier() {
+    if (Object.keys(getGestureSampleCounts()).length < 2) {
+        updateStatus("⚠️ Record samples of at least two gestures before training");
+        return;
+    }
+    if (isRecordingGestureSamples) {
+        stopGestureRecording();
+    }
+    
+    let classifier = ml5.neuralNetwork({ task: 'classification', debug: false });
+    for (let sample of gestureSamples) {
+        classifier.addData(sample.inputs, [sample.label]);
+    }
+    // The inputs are already normalised to the palm size, so normalizeData() isn't needed
+    
+    gestureTrainingState = 'training';
+    gesturePredictions = {};
+    updateGestureTrainingControls();
+    updateStatus("🧠 Training gesture classifier...");
+    
+    classifier.train({ epochs: GESTURE_TRAINING_EPOCHS }, (epoch) => {
+        updateStatus(`🧠 Training gesture classifier... epoch ${epoch + 1}/${GESTURE_TRAINING_EPOCHS}`);
+    }, () => {
+        gestureClassifier = classifier;
+        gestureTrainingState = 'trained';
+        updateStatus("✅ Gesture classifier trained!");
+        updateGestureTrainingControls();
+    });
+}
+
+// Called every frame from draw(), classifies every hand once the previous predictions are back
+function classifyGestures() {
+    if (gestureTrainingState !== 'trained' || isClassifyingGestures) return;
+    
+    let pending = [];
+    for (let hand of hands) {
+        let inputs = getGestureInputs(hand);
+        if (inputs) pending.push({ id: hand.id, inputs: inputs });
+    }
+    if (pending.length === 0) {
+        gesturePredictions = {};
+        return;
+    }
+    
+    isClassifyingGestures = true;
+    let predictions = {};
+    let remaining = pending.length;
+    
+    for (let item of pending) {
+        // ml5 v1 passes (results, error), older versions (error, results)
+        gestureClassifier.classify(item.inputs, (first, second) => {
+            let results = Array.isArray(first) ? first : second;
+            if (Array.isArray(results) && results.length > 0) {
+                predictions[item.id] = { label: results[0].label, confidence: results[0].confidence };
+            }
+            
+            remaining--;
+            if (remaining === 0) {
+                gesturePredictions = predictions;
+                isClassifyingGestures = false;
+                updateGesturePredictionDisplay();
+            }
+        });
+    }
+}
+
+// Prediction label above each hand
+function drawGesturePredictions() {
+    textAlign(CENTER, BOTTOM);
+    textSize(16);
+    textStyle(BOLD);
+    fill(0, 255, 255);
+    stroke(0);
+    strokeWeight(3);
+    
+    for (let hand of hands) {
+        let prediction = gesturePredictions[hand.id];
+        if (!prediction || !hand.keypoints || !hand.keypoints[12]) continue;
+        
+        let top = hand.keypoints[12]; // Middle finger tip
+        text(`${prediction.label} (${(prediction.confidence * 100).toFixed(0)}%)`, top.x, top.y - 15);
+    }
+    
+    textStyle(NORMAL);
+    noStroke();
+}
+
+function downloadGestureSamples() {
+    if (gestureSamples.length === 0) {
+        updateStatus("⚠️ No gesture samples recorded yet");
+        return;
+    }
+    
+    let data = {
+        format: 'cv-gesture-samples',
+        version: 1,
+        createdAt: new Date().toISOString(),
+        inputs: 'hand keypoints relative to the wrist, divided by the palm size (x, y per point)',
+        samples: gestureSamples
+    };
+    downloadTextFile(JSON.stringify(data), `gesture-samples-${getFilenameTimestamp()}.json`, 'application/json');
+    updateStatus("💾 Gesture samples saved");
+}
+
+// Samples from a file are added to the ones already recorded
+function loadGestureSamples(file) {
+    if (!file) return;
+    
+    file.text().then(text => {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            data = null;
+        }
+        
+        if (!data || data.format !== 'cv-gesture-samples' || !Array.isArray(data.samples)) {
+            updateStatus("❌ Could not read gesture samples file");
+            return;
+        }
+        
+        gestureSamples = gestureSamples.concat(data.samples);
+        updateStatus(`📂 Loaded ${data.samples.length} gesture samples`);
+        updateGestureTrainingControls();
+    });
+}
+
+// Downloads model.json, model_meta.json and model.weights.bin
+function saveGestureModel() {
+    if (gestureTrainingState !== 'trained') {
+        updateStatus("⚠️ Train the gesture classifier before saving it");
+        return;
+    }
+    gestureClassifier.save('gesture-model');
+}
+
+// Load the three files saved by saveGestureModel(), selected together
+function loadGestureModel(files) {
+    if (!files || files.length < 3) {
+        updateStatus("⚠️ Select model.json, model_meta.json and model.weights.bin together");
+        return;
+    }
+    
+    let classifier = ml5.neuralNetwork({ task: 'classification', debug: false });
+    let finished = false;
+    let fail = (error) => {
+        if (finished) return;
+        finished = true;
+        console.error('Error loading gesture model:', error);
+        updateStatus("❌ Could not load gesture model. Check the three files are from the same save.");
+    };
+    
+    updateStatus("📂 Loading gesture model...");
+    try {
+        // ml5 v1 passes (results, error) to the callback, older versions (error, results),
+        // and a failed load can also reject the returned promise instead
+        let loading = classifier.load(files, (first, second) => {
+            let error = [first, second].find(arg => arg instanceof Error);
+            if (error) {
+                fail(error);
+                return;
+            }
+            if (finished) return;
+            finished = true;
+            gestureClassifier = classifier;
+            gestureTrainingState = 'trained';
+            gesturePredictions = {};
+            updateStatus("✅ Gesture model loaded!");
+            updateGestureTrainingControls();
+        });
+        if (loading && typeof loading.catch === 'function') loading.catch(fail);
+    } catch (error) {
+        fail(error);
+    }
+}
+
+function updateGestureTrainingControls() {
+    let recordButton = document.getElementById('gestureRecordButton');
+    recordButton.textContent = isRecordingGestureSamples ? 'Stop Recording' : 'Record Samples';
+    recordButton.classList.toggle('recording', isRecordingGestureSamples);
+    
+    let counts = getGestureSampleCounts();
+    let labels = Object.keys(counts);
+    document.getElementById('gestureSampleInfo').textContent = labels.length > 0
+        ? labels.map(label => `${label}: ${counts[label]}`).join(', ')
+        : 'No samples yet';
+    
+    document.getElementById('gestureTrainButton').disabled = gestureTrainingState === 'training';
+    document.getElementById('gestureModelInfo').textContent = {
+        untrained: 'Not trained',
+        training: 'Training...',
+        trained: 'Trained'
+    }[gestureTrainingState];
+    
+    updateGesturePredictionDisplay();
+}
+
+function updateGesturePredictionDisplay() {
+    let html = '';
+    for (let hand of hands) {
+        let prediction = gesturePredictions[hand.id];
+        if (!prediction) continue;
+        
+        let percent = (prediction.confidence * 100).toFixed(0);
+        html += `<div class="data-subitem">Hand ${hand.id}: ${prediction.label} (${percent}%)` +
+            `<div class="data-bar"><div class="data-bar-fill" style="width: ${percent}%"></div></div></div>`;
+    }
+    document.getElementById('gesturePredictionInfo').innerHTML = html;
+}
+
+
+// CALIBRATION WIZARD
+
+// Each step measures one state; thresholds end up between the open and closed measurements
+const CALIBRATION_STEPS = [
+    { id: 'eyesOpen', target: 'face', instruction: "Look at the camera, eyes open and mouth closed" },
+    { id: 'eyesClosed', target: 'face', instruction: "When the countdown ends, close your eyes for 2 seconds" },
+    { id: 'mouthOpen', target: 'face', instruction: "Open your mouth wide" },
+    { id: 'handOpen', target: 'hand', instruction: "Hold up one open hand, fingers spread" },
+    { id: 'fist', target: 'hand', instruction: "Now make a fist with that hand" }
+];
+const CALIBRATION_PREPARE_TIME = 3000; // Countdown before each step (ms)
+const CALIBRATION_CAPTURE_TIME = 2000; // How long each step is measured (ms)
+
+function startCalibration() {
+    calibrationWizard = {
+        stepIndex: 0,
+        phase: 'prepare', // prepare (countdown) or capture
+        phaseStart: millis(),
+        stepSamples: [],
+        samples: {},
+        message: ''
+    };
+    updateCalibrationControls();
+}
+
+function cancelCalibration() {
+    calibrationWizard = null;
+    updateCalibrationControls();
+}
+
+// Called every frame from draw() while the wizard is running
+function updateCalibration() {
+    if (!calibrationWizard) return;
+    
+    let wizard = calibrationWizard;
+    let step = CALIBRATION_STEPS[wizard.stepIndex];
+    let elapsed = millis() - wizard.phaseStart;
+    
+    if (wizard.phase === 'prepare') {
+        if (elapsed >= CALIBRATION_PREPARE_TIME) {
+            wizard.phase = 'capture';
+            wizard.phaseStart = millis();
+            wizard.stepSamples = [];
+        }
+        return;
+    }
+    
+    let sample = takeCalibrationSample(step);
+    if (sample) {
+        wizard.stepSamples.push(sample);
+    }
+    
+    if (elapsed < CALIBRATION_CAPTURE_TIME) return;
+    
+    // Repeat the step if nobody was in view
+    if (wizard.stepSamples.length < 5) {
+        wizard.message = step.target === 'face' ? "No face detected, let's try that again" : "No hand detected, let's try that again";
+        wizard.phase = 'prepare';
+        wizard.phaseStart = millis();
+        return;
+    }
+    
+    wizard.samples[step.id] = wizard.stepSamples;
+    wizard.message = '';
+    wizard.stepIndex++;
+    wizard.phase = 'prepare';
+    wizard.phaseStart = millis();
+    
+    if (wizard.stepIndex >= CALIBRATION_STEPS.length) {
+        finishCalibration();
+    }
+}
+
+function takeCalibrationSample(step) {
+    if (step.target === 'face') {
+        if (faces.length === 0 || !faces[0].keypoints || faces[0].keypoints.length < 478) return null;
+        let face = faces[0];
+        return {
+            leftEye: getLeftEyeOpenRatio(face),
+            rightEye: getRightEyeOpenRatio(face),
+            mouth: getMouthOpenRatio(face),
+            mouthWidth: getMouthWidthRatio(face),
+            browHeight: getBrowHeightRatio(face),
+            cheekWidth: getCheekWidthRatio(face)
+        };
+    }
+    
+    if (hands.length === 0 || !hands[0].keypoints) return null;
+    
+    // A fist needs 3 curled fingers, so the third smallest ratio is the one that decides
+    let ratios = getFingertipCurlRatios(hands[0]).filter(ratio => ratio !== null).sort((a, b) => a - b);
+    if (ratios.length < 3) return null;
+    return { curl: ratios[2] };
+}
+
+function finishCalibration() {
+    let samples = calibrationWizard.samples;
+    let median = (stepId, key) => getMedian(samples[stepId].map(sample => sample[key]));
+    
+    let result = Object.assign({}, calibration);
+    result.leftEyeOpen = getThresholdBetween(median('eyesClosed', 'leftEye'), median('eyesOpen', 'leftEye'), 0.5, calibration.leftEyeOpen);
+    result.rightEyeOpen = getThresholdBetween(median('eyesClosed', 'rightEye'), median('eyesOpen', 'rightEye'), 0.5, calibration.rightEyeOpen);
+    // A third of the way up so talking already counts as an open mouth
+    result.mouthOpen = getThresholdBetween(median('eyesOpen', 'mouth'), median('mouthOpen', 'mouth'), 0.33, calibration.mouthOpen);
+    result.fist = getThresholdBetween(median('fist', 'curl'), median('handOpen', 'curl'), 0.5, calibration.fist);
+    
+    // The first step doubles as the neutral face for expression scores
+    result.neutralMouthWidth = median('eyesOpen', 'mouthWidth');
+    result.neutralBrowHeight = median('eyesOpen', 'browHeight');
+    result.neutralCheekWidth = median('eyesOpen', 'cheekWidth');
+    
+    calibration = result;
+    saveCalibration();
+    calibrationWizard = null;
+    updateCalibrationControls();
+    updateStatus("✅ Calibration saved");
+    console.log("Calibration saved:", calibration);
+}
+
+// Pick a threshold part of the way from the low to the high measurement,
+// keeping the old one if the two measurements weren't clearly different
+function getThresholdBetween(low, high, fraction, fallback) {
+    if (high - low < 0.01) {
+        console.log("⚠️ Calibration step was inconclusive, keeping", fallback);
+        return fallback;
+    }
+    return low + (high - low) * fraction;
+}
+
+function loadCalibration() {
+    try {
+        let saved = JSON.parse(localStorage.getItem(CALIBRATION_STORAGE_KEY));
+        return Object.assign({}, DEFAULT_CALIBRATION, saved);
+    } catch (error) {
+        return Object.assign({}, DEFAULT_CALIBRATION);
+    }
+}
+
+function saveCalibration() {
+    try {
+        localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(calibration));
+    } catch (error) {
+        console.error("Could not save calibration:", error);
+    }
+}
+
+function resetCalibration() {
+    calibration = Object.assign({}, DEFAULT_CALIBRATION);
+    try {
+        localStorage.removeItem(CALIBRATION_STORAGE_KEY);
+    } catch (error) {
+        console.error("Could not clear calibration:", error);
+    }
+    updateCalibrationControls();
+}
+
+function drawCalibrationOverlay() {
+    let wizard = calibrationWizard;
+    let step = CALIBRATION_STEPS[wizard.stepIndex];
+    let elapsed = millis() - wizard.phaseStart;
+    let boxHeight = 120;
+    
+    push();
+    fill(0, 200);
+    noStroke();
+    rect(0, height - boxHeight, width, boxHeight);
+    
+    fill(255);
+    textAlign(CENTER, CENTER);
+    textSize(14);
+    text(`CALIBRATION ${wizard.stepIndex + 1}/${CALIBRATION_STEPS.length}`, width / 2, height - boxHeight + 20);
+    
+    textSize(20);
+    textStyle(BOLD);
+    text(wizard.message || step.instruction, width / 2, height - boxHeight + 50);
+    textStyle(NORMAL);
+    
+    if (wizard.phase === 'prepare') {
+        textSize(16);
+        text(`Starting in ${Math.ceil((CALIBRATION_PREPARE_TIME - elapsed) / 1000)}...`, width / 2, height - boxHeight + 85);
+    } else {
+        // Progress bar while measuring
+        let progress = constrain(elapsed / CALIBRATION_CAPTURE_TIME, 0, 1);
+        stroke(255);
+        noFill();
+        rect(width / 4, height - boxHeight + 78, width / 2, 14);
+        noStroke();
+        fill(0, 255, 0);
+        rect(width / 4, height - boxHeight + 78, (width / 2) * progress, 14);
+    }
+    pop();
+}
+
+function updateCalibrationControls() {
+    document.getElementById('calibrateButton').textContent = calibrationWizard ? 'Cancel Calibration' : 'Start Calibration';
+    document.getElementById('calibrationInfo').innerHTML =
+        `Eyes: ${calibration.leftEyeOpen.toFixed(3)} / ${calibration.rightEyeOpen.toFixed(3)}<br>` +
+        `Mouth: ${calibration.mouthOpen.toFixed(3)} &middot; Fist: ${calibration.fist.toFixed(2)}`;
+}
+
+// DATA STREAM EXPORT (CSV / JSON)
+
+function startDataStreamRecording() {
+    dataStreamSamples = [];
+    dataStreamRecordStart = millis();
+    isRecordingDataStream = true;
+    updateDataExportControls();
+}
+
+function stopDataStreamRecording() {
+    isRecordingDataStream = false;
+    updateDataExportControls();
+}
+
+// Every value is recorded, whichever data stream options are selected
+function recordDataStreamSample() {
+    let allOptions = {};
+    for (let key in dataStreamOptions) {
+        allOptions[key] = true;
+    }
+    
+    dataStreamSamples.push(Object.assign({
+        frame: frameCount,
+        timestamp: Math.round(millis() - dataStreamRecordStart)
+    }, getDataStreamSnapshot(allOptions)));
+    
+    // Refreshing the counter a few times a second is plenty
+    if (frameCount % 10 === 0) {
+        updateDataExportControls();
+    }
+}
+
+function buildDataStreamCsv(samples) {
+    let rows = samples.map(sample => flattenDataSample(sample));
+    
+    // Columns appear in the order they are first seen (hands can come and go)
+    let columns = [];
+    for (let row of rows) {
+        for (let column in row) {
+            if (!columns.includes(column)) columns.push(column);
+        }
+    }
+    
+    let lines = [columns.join(',')];
+    for (let row of rows) {
+        lines.push(columns.map(column => column in row ? row[column] : '').join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Nested values become columns like wrists_1_x or fingertips_2_5_y (1-based),
+// booleans become 1/0 and missing values (not detected) empty cells
+function flattenDataSample(value, prefix = '', row = {}) {
+    if (value === null || value === undefined) {
+        return row;
+    } else if (typeof value === 'boolean') {
+        row[prefix] = value ? 1 : 0;
+    } else if (Array.isArray(value)) {
+        value.forEach((item, i) => flattenDataSample(item, `${prefix}_${i + 1}`, row));
+    } else if (typeof value === 'object') {
+        for (let key in value) {
+            flattenDataSample(value[key], prefix ? `${prefix}_${key}` : key, row);
+        }
+    } else {
+        row[prefix] = value;
+    }
+    return row;
+}
+
+function updateDataExportControls() {
+    let recordButton = document.getElementById('dataRecordButton');
+    recordButton.textContent = isRecordingDataStream ? 'Stop Recording' : 'Start Recording';
+    recordButton.classList.toggle('recording', isRecordingDataStream);
+    
+    let duration = dataStreamSamples.length > 0 ? dataStreamSamples[dataStreamSamples.length - 1].timestamp : 0;
+    document.getElementById('dataRecordInfo').textContent =
+        `${dataStreamSamples.length} frames, ${(duration / 1000).toFixed(1)}s`;
+    
+    // The download link is rebuilt once recording stops
+    let link = document.getElementById('dataExportLink');
+    if (link.href.startsWith('blob:')) {
+        URL.revokeObjectURL(link.href);
+        link.removeAttribute('href');
+    }
+    
+    if (isRecordingDataStream || dataStreamSamples.length === 0) {
+        link.style.display = 'none';
+        return;
+    }
+    
+    let text, mimeType;
+    if (dataStreamExportFormat === 'json') {
+        text = JSON.stringify({ recordedAt: new Date().toISOString(), samples: dataStreamSamples }, null, 1);
+        mimeType = 'application/json';
+    } else {
+        text = buildDataStreamCsv(dataStreamSamples);
+        mimeType = 'text/csv';
+    }
+    
+    link.href = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    link.download = `data-stream-${getFilenameTimestamp()}.${dataStreamExportFormat}`;
+    link.textContent = `⬇ Download ${dataStreamExportFormat.toUpperCase()}`;
+    link.style.display = 'block';
+}
+
+// NETWORK OUTPUT (WEBSOCKET / OSC)
+
+function connectNetworkOutput() {
+    disconnectNetworkOutput();
+    
+    let url = `ws://${networkSettings.host}:${networkSettings.port}`;
+    console.log("Connecting network output to", url);
+    setNetworkState('connecting');
+    
+    try {
+        networkSocket = new WebSocket(url);
+    } catch (error) {
+        console.error("Network output error:", error);
+        setNetworkState('error');
+        return;
+    }
+    
+    networkSocket.onopen = () => {
+        setNetworkState('connected');
+        sendNetworkConfig();
+    };
+    
+    networkSocket.onerror = () => {
+        setNetworkState('error');
+    };
+    
+    networkSocket.onclose = () => {
+        networkSocket = null;
+        if (!networkOutputEnabled) return;
+        
+        // Keep trying while output is enabled, the bridge may not be running yet
+        if (networkState !== 'error') setNetworkState('connecting');
+        networkReconnectTimer = setTimeout(connectNetworkOutput, 2000);
+    };
+}
+
+function disconnectNetworkOutput() {
+    clearTimeout(networkReconnectTimer);
+    if (networkSocket) {
+        networkSocket.onclose = null;
+        networkSocket.close();
+        networkSocket = null;
+    }
+    setNetworkState('off');
+}
+
+// Tell the bridge where to forward OSC messages
+function sendNetworkConfig() {
+    sendNetworkMessage({
+        type: 'config',
+        osc: { host: networkSettings.oscHost, port: networkSettings.oscPort }
+    });
+}
+
+function sendNetworkMessage(message) {
+    if (!networkSocket || networkSocket.readyState !== WebSocket.OPEN) return false;
+    
+    networkSocket.send(JSON.stringify(message));
+    return true;
+}
+
+// Called every frame from draw() while network output is enabled
+function publishNetworkFrame() {
+    // Drop frames instead of queueing them if the bridge can't keep up
+    if (!networkSocket || networkSocket.bufferedAmount > 65536) return;
+    
+    let snapshot = getDataStreamSnapshot();
+    sendNetworkMessage({
+        type: 'frame',
+        frame: frameCount,
+        timestamp: Date.now(),
+        data: snapshot,
+        osc: buildOscMessages(snapshot, networkSettings.oscPrefix)
+    });
+}
+
+// Collect the values of the selected data stream options into plain data
+function getDataStreamSnapshot(options = dataStreamOptions) {
+    let snapshot = {};
+    
+    // Face values are grouped per face, with the face's id
+    if (options.mouthOpen || options.leftEyeOpen || options.rightEyeOpen ||
+        options.noseCenter || options.expressionScores || options.eyeEvents || options.headOrientation || options.gaze) {
+        snapshot.faces = faces.map(face => getFaceSnapshot(face, options));
+    }
+    if (options.wristPosition || options.handOpen || options.fingertipPositions || options.handGestures) {
+        snapshot.hands = hands.map(hand => getHandSnapshot(hand, options));
+    }
+    if (options.bodyShoulders || options.bodyElbows || options.bodyHips || options.bodyKnees) {
+        snapshot.bodies = bodies.map(body => getBodySnapshot(body, options));
+    }
+    
+    return snapshot;
+}
+
+function getBodySnapshot(body, options) {
+    let bodySnapshot = { id: body.id, poses: getBodyPoses(body) };
+    const bodyParts = { bodyShoulders: 'shoulder', bodyElbows: 'elbow', bodyHips: 'hip', bodyKnees: 'knee' };
+    
+    for (let option in bodyParts) {
+        if (!options[option]) continue;
+        let part = bodyParts[option];
+        let capitalized = part[0].toUpperCase() + part.slice(1);
+        bodySnapshot[`left${capitalized}`] = toPlainPoint(getBodyPart(body, `left_${part}`));
+        bodySnapshot[`right${capitalized}`] = toPlainPoint(getBodyPart(body, `right_${part}`));
+    }
+    
+    return bodySnapshot;
+}
+
+function getHandSnapshot(hand, options) {
+    let handSnapshot = { id: hand.id, handedness: hand.handedness || null };
+    
+    if (options.wristPosition) {
+        handSnapshot.wrist = toPlainPoint(hand.keypoints ? hand.keypoints[0] : null);
+    }
+    if (options.handOpen) {
+        handSnapshot.open = !isHandFist(hand);
+    }
+    if (options.fingertipPositions && hand.keypoints) {
+        handSnapshot.fingertips = [4, 8, 12, 16, 20].map(index => toPlainPoint(hand.keypoints[index]));
+    }
+    if (options.handGestures) {
+        let result = recognizeHandGesture(hand);
+        handSnapshot.gestures = result.gestures;
+        handSnapshot.fingerCount = result.count;
+        handSnapshot.trainedGesture = gesturePredictions[hand.id] || null; // From the Train Gesture panel
+    }
+    
+    return handSnapshot;
+}
+
+function getFaceSnapshot(face, options) {
+    let faceSnapshot = { id: face.id };
+    
+    if (options.mouthOpen) {
+        faceSnapshot.mouthOpen = isMouthOpen(face);
+    }
+    if (options.leftEyeOpen) {
+        faceSnapshot.leftEyeOpen = isLeftEyeOpen(face);
+    }
+    if (options.rightEyeOpen) {
+        faceSnapshot.rightEyeOpen = isRightEyeOpen(face);
+    }
+    if (options.noseCenter) {
+        faceSnapshot.noseCenter = toPlainPoint(getNoseCenter(face));
+    }
+    if (options.eyeEvents && eyeEventStates[face.id]) {
+        let counts = eyeEventStates[face.id].counts;
+        faceSnapshot.blinks = counts.blink;
+        faceSnapshot.leftWinks = counts.leftWink;
+        faceSnapshot.rightWinks = counts.rightWink;
+        faceSnapshot.blinksPerMinute = Math.round(getBlinksPerMinute(face.id) * 10) / 10;
+    }
+    if (options.headOrientation) {
+        let pose = getHeadPose(face);
+        if (pose) {
+            faceSnapshot.head = {
+                yaw: Math.round(pose.yaw * 10) / 10,
+                pitch: Math.round(pose.pitch * 10) / 10,
+                roll: Math.round(pose.roll * 10) / 10
+            };
+        }
+    }
+    if (options.gaze) {
+        let gaze = getGaze(face);
+        if (gaze) {
+            let round = (value) => Math.round(value * 1000) / 1000;
+            faceSnapshot.gaze = {
+                x: round(gaze.x),
+                y: round(gaze.y),
+                region: gaze.region,
+                leftIris: toPlainPoint(gaze.leftIris),
+                rightIris: toPlainPoint(gaze.rightIris),
+                leftEye: { x: round(gaze.leftEye.x), y: round(gaze.leftEye.y) },
+                rightEye: { x: round(gaze.rightEye.x), y: round(gaze.rightEye.y) }
+            };
+        }
+    }
+    if (options.expressionScores) {
+        let scores = getExpressionScores(face);
+        if (scores) {
+            faceSnapshot.expressions = {};
+            for (let name in scores) {
+                faceSnapshot.expressions[name] = Math.round(scores[name] * 1000) / 1000;
+            }
+        }
+    }
+    
+    return faceSnapshot;
+}
+
+function toPlainPoint(point) {
+    if (!point) return null;
+    return { x: Math.round(point.x * 10) / 10, y: Math.round(point.y * 10) / 10 };
+}
+
+// Turn a data snapshot into OSC address/argument pairs, e.g. /cv/hand/1/wrist [x, y]
+function buildOscMessages(snapshot, prefix) {
+    const fingerNames = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+    let messages = [];
+    
+    // Faces are addressed by id, e.g. /cv/face/1/mouthOpen
+    for (let face of snapshot.faces || []) {
+        let facePrefix = `${prefix}/face/${face.id}`;
+        for (let key of ['mouthOpen', 'leftEyeOpen', 'rightEyeOpen']) {
+            if (key in face) {
+                messages.push({ address: `${facePrefix}/${key}`, args: [face[key]] });
+            }
+        }
+        
+        if (face.noseCenter) {
+            messages.push({ address: `${facePrefix}/nose`, args: [face.noseCenter.x, face.noseCenter.y] });
+        }
+        
+        if (face.head) {
+            messages.push({ address: `${facePrefix}/head`, args: [face.head.yaw, face.head.pitch, face.head.roll] });
+        }
+        
+        if (face.gaze) {
+            messages.push({ address: `${facePrefix}/gaze`, args: [face.gaze.x, face.gaze.y] });
+            messages.push({ address: `${facePrefix}/gazeRegion`, args: [face.gaze.region] });
+            messages.push({ address: `${facePrefix}/iris`, args: [face.gaze.leftIris.x, face.gaze.leftIris.y, face.gaze.rightIris.x, face.gaze.rightIris.y] });
+        }
+        
+        for (let name in face.expressions || {}) {
+            messages.push({ address: `${facePrefix}/expression/${name}`, args: [face.expressions[name]] });
+        }
+    }
+    
+    // Bodies, e.g. /cv/body/1/leftKnee
+    for (let body of snapshot.bodies || []) {
+        let bodyPrefix = `${prefix}/body/${body.id}`;
+        for (let key in body) {
+            if (body[key] && typeof body[key].x === 'number') {
+                messages.push({ address: `${bodyPrefix}/${key}`, args: [body[key].x, body[key].y] });
+            }
+        }
+        messages.push({ address: `${bodyPrefix}/poses`, args: body.poses });
+    }
+    
+    // Hands too, e.g. /cv/hand/2/wrist
+    for (let hand of snapshot.hands || []) {
+        let handPrefix = `${prefix}/hand/${hand.id}`;
+        if (hand.wrist) {
+            messages.push({ address: `${handPrefix}/wrist`, args: [hand.wrist.x, hand.wrist.y] });
+        }
+        
+        if ('open' in hand) {
+            messages.push({ address: `${handPrefix}/open`, args: [hand.open] });
+        }
+        
+        if (hand.gestures) {
+            messages.push({ address: `${handPrefix}/gestures`, args: hand.gestures });
+            messages.push({ address: `${handPrefix}/count`, args: [hand.fingerCount] });
+        }
+        
+        (hand.fingertips || []).forEach((tip, finger) => {
+            if (tip) {
+                messages.push({ address: `${handPrefix}/${fingerNames[finger]}`, args: [tip.x, tip.y] });
+            }
+        });
+    }
+    
+    return messages;
+}
+
+function setNetworkState(state) {
+    networkState = state;
+    
+    const labels = {
+        off: 'Off',
+        connecting: '⏳ Connecting...',
+        connected: `🟢 ws://${networkSettings.host}:${networkSettings.port}`,
+        error: '🔴 Bridge not reachable'
+    };
+    document.getElementById('networkStatus').textContent = labels[state];
+}
+
+// SESSION RECORDING AND REPLAY
+
+function startSessionRecording() {
+    sessionEvents = [];
+    sessionRecordStart = millis();
+    isRecordingSession = true;
+    updateSessionControls();
+}
+
+function stopSessionRecording() {
+    isRecordingSession = false;
+    updateSessionControls();
+}
+
+function recordSessionEvent(type, results) {
+    if (!isRecordingSession) return;
+    
+    sessionEvents.push({
+        t: Math.round(millis() - sessionRecordStart),
+        type: type,
+        data: serializeDetections(results)
+    });
+    updateSessionControls();
+}
+
+// Copy detection results into plain data. Named parts such as face.lips or
+// hand.index_finger_tip are derived from the keypoints, so only keypoints are kept.
+function serializeDetections(results) {
+    return results.map(result => {
+        let copy = {};
+        for (let key in result) {
+            let value = result[key];
+            if (key === 'keypoints') {
+                copy[key] = value.map(point => roundKeypoint(point, 2));
+            } else if (key === 'keypoints3D') {
+                copy[key] = value.map(point => roundKeypoint(point, 5));
+            } else if (key === 'box') {
+                copy[key] = Object.assign({}, value);
+            } else if (value === null || typeof value !== 'object') {
+                copy[key] = value; // handedness, confidence...
+            }
+        }
+        return copy;
+    });
+}
+
+function roundKeypoint(point, decimals) {
+    let factor = Math.pow(10, decimals);
+    let rounded = {};
+    for (let key of ['x', 'y', 'z']) {
+        if (typeof point[key] === 'number') {
+            rounded[key] = Math.round(point[key] * factor) / factor;
+        }
+    }
+    if (point.name) rounded.name = point.name;
+    if (typeof point.confidence === 'number') rounded.confidence = point.confidence;
+    return rounded;
+}
+
+function getSessionHeader() {
+    return {
+        format: 'cv-session',
+        version: 1,
+        createdAt: new Date().toISOString(),
+        canvas: { width: width, height: height },
+        inputSource: inputSource,
+        duration: sessionEvents.length > 0 ? sessionEvents[sessionEvents.length - 1].t : 0
+    };
+}
+
+function downloadSession(format) {
+    if (sessionEvents.length === 0) {
+        updateStatus("⚠️ Nothing recorded yet");
+        return;
+    }
+    
+    let filename = `session-${getFilenameTimestamp()}`;
+    if (format === 'ndjson') {
+        // One header line followed by one detection event per line
+        let lines = [JSON.stringify(getSessionHeader())];
+        for (let event of sessionEvents) {
+            lines.push(JSON.stringify(event));
+        }
+        downloadTextFile(lines.join('\n') + '\n', filename + '.ndjson', 'application/x-ndjson');
+    } else {
+        let session = Object.assign(getSessionHeader(), { events: sessionEvents });
+        downloadTextFile(JSON.stringify(session), filename + '.json', 'application/json');
+    }
+}
+
+// Accepts both the JSON and the NDJSON session formats
+function parseSessionFile(text) {
+    let session;
+    try {
+        session = JSON.parse(text);
+    } catch (error) {
+        let lines = text.split('\n').filter(line => line.trim().length > 0);
+        session = JSON.parse(lines[0]);
+        session.events = lines.slice(1).map(line => JSON.parse(line));
+    }
+    
+    if (!session || session.format !== 'cv-session' || !Array.isArray(session.events)) {
+        throw new Error("Not a session file");
+    }
+    
+    // Replays scale landmarks by the recorded canvas size. Without a usable one they are
+    // taken to be recorded at the current size and replayed unscaled.
+    let recorded = session.canvas;
+    if (!recorded || !(recorded.width > 0) || !(recorded.height > 0)) {
+        session.canvas = { width: width, height: height };
+    }
+    return session;
+}
+
+function loadSessionFile(file) {
+    if (!file) return;
+    
+    file.text().then(text => {
+        try {
+            replaySession = parseSessionFile(text);
+        } catch (error) {
+            console.error("Could not load session:", error);
+            updateStatus("❌ Could not read session file");
+            return;
+        }
+        
+        console.log(`Loaded session with ${replaySession.events.length} events`);
+        startSessionReplay();
+    });
+}
+
+function startSessionReplay() {
+    if (!replaySession) return;
+    
+    isReplaying = true;
+    replayPlaying = true;
+    resetSessionReplay();
+    updateStatus(`▶️ Replaying session (${replaySession.events.length} events)`);
+    updateSessionControls();
+}
+
+function resetSessionReplay() {
+    replayPosition = 0;
+    replayEventIndex = 0;
+    replayLastUpdate = millis();
+    resetTracking();
+    handleFaceResults([]);
+    handleHandResults([]);
+    handleBodyResults([]);
+}
+
+function stopSessionReplay() {
+    isReplaying = false;
+    replayPlaying = false;
+    replaySession = null;
+    resetTracking();
+    handleFaceResults([]);
+    handleHandResults([]);
+    handleBodyResults([]);
+    updateSessionControls();
+    
+    // Live detections take over again (loading ML5 now if the replay skipped it)
+    if (video && video.loadedmetadata) {
+        onInputSourceReady("📹 Replay stopped");
+    } else {
+        updateStatus("⏹️ Replay stopped");
+    }
+}
+
+function toggleSessionReplay() {
+    if (!isReplaying) return;
+    
+    replayPlaying = !replayPlaying;
+    replayLastUpdate = millis();
+    updateSessionControls();
+}
+
+// Apply the next recorded event immediately (pauses real-time playback)
+function stepSessionReplay() {
+    if (!isReplaying) return;
+    
+    replayPlaying = false;
+    if (replayEventIndex >= replaySession.events.length) {
+        resetSessionReplay();
+    }
+    
+    let event = replaySession.events[replayEventIndex];
+    if (event) {
+        applySessionEvent(event);
+        replayPosition = event.t;
+        replayEventIndex++;
+    }
+    updateSessionControls();
+}
+
+// Called every frame from draw() to apply all events that are due
+function updateSessionReplay() {
+    if (!isReplaying || !replayPlaying) return;
+    
+    replayPosition += millis() - replayLastUpdate;
+    replayLastUpdate = millis();
+    
+    let events = replaySession.events;
+    while (replayEventIndex < events.length && events[replayEventIndex].t <= replayPosition) {
+        applySessionEvent(events[replayEventIndex]);
+        replayEventIndex++;
+    }
+    
+    if (replayEventIndex >= events.length) {
+        if (replayLooping) {
+            resetSessionReplay();
+        } else {
+            replayPlaying = false;
+        }
+    }
+    updateSessionControls();
+}
+
+function applySessionEvent(event) {
+    // Sessions recorded on a different canvas size are scaled to fit this one
+    let scaleX = width / replaySession.canvas.width;
+    let scaleY = height / replaySession.canvas.height;
+    let data = scaleDetections(event.data, scaleX, scaleY);
+    
+    if (event.type === 'faces') {
+        handleFaceResults(data);
+    } else if (event.type === 'hands') {
+        handleHandResults(data);
+    } else if (event.type === 'bodies') {
+        handleBodyResults(data);
+    }
+}
+
+function scaleDetections(results, scaleX, scaleY) {
+    if (scaleX === 1 && scaleY === 1) return results;
+    
+    return results.map(result => {
+        let copy = Object.assign({}, result);
+        if (result.keypoints) {
+            copy.keypoints = result.keypoints.map(point => Object.assign({}, point, {
+                x: point.x * scaleX,
+                y: point.y * scaleY
+            }));
+        }
+        if (result.box) {
+            copy.box = Object.assign({}, result.box, {
+                xMin: result.box.xMin * scaleX,
+                xMax: result.box.xMax * scaleX,
+                yMin: result.box.yMin * scaleY,
+                yMax: result.box.yMax * scaleY,
+                width: result.box.width * scaleX,
+                height: result.box.height * scaleY
+            });
+        }
+        return copy;
+    });
 }
 
+function updateSessionControls() {
+    let recordButton = document.getElementById('recordSessionButton');
+    recordButton.textContent = isRecordingSession ? 'Stop Recording' : 'Start Recording';
+    recordButton.classList.toggle('recording', isRecordingSession);
+    
+    let duration = sessionEvents.length > 0 ? sessionEvents[sessionEvents.length - 1].t : 0;
+    document.getElementById('sessionRecordInfo').textContent =
+        `${sessionEvents.length} events, ${(duration / 1000).toFixed(1)}s`;
+    
+    document.getElementById('replayControls').style.display = isReplaying ? 'block' : 'none';
+    if (isReplaying) {
+        let total = replaySession.events.length;
+        document.getElementById('replayInfo').textContent =
+            `${replayEventIndex} / ${total} (${(replayPosition / 1000).toFixed(1)}s)`;
+        document.getElementById('replayPlayButton').textContent = replayPlaying ? 'Pause' : 'Play';
+    }
+}
 
 // CONNECTION DRAWING HELPERS
 
+const HAND_CONNECTIONS = [
+    [0, 1], [1, 2], [2, 3], [3, 4],     // Thumb
+    [0, 5], [5, 6], [6, 7], [7, 8],     // Index finger
+    [0, 9], [9, 10], [10, 11], [11, 12], // Middle finger
+    [0, 13], [13, 14], [14, 15], [15, 16], // Ring finger
+    [0, 17], [17, 18], [18, 19], [19, 20], // Pinky
+    [5, 9], [9, 13], [13, 17]           // Palm connections
+];
+
 function drawHandConnections(keypoints) {
-    const connections = [
-        [0, 1], [1, 2], [2, 3], [3, 4],     // Thumb
-        [0, 5], [5, 6], [6, 7], [7, 8],     // Index finger
-        [0, 9], [9, 10], [10, 11], [11, 12], // Middle finger
-        [0, 13], [13, 14], [14, 15], [15, 16], // Ring finger
-        [0, 17], [17, 18], [18, 19], [19, 20], // Pinky
-        [5, 9], [9, 13], [13, 17]           // Palm connections
-    ];
-    
-    for (let connection of connections) {
+    for (let connection of HAND_CONNECTIONS) {
         let a = keypoints[connection[0]];
         let b = keypoints[connection[1]];
         if (a && b) {
@@ -1194,6 +6464,97 @@ function drawHandConnections(keypoints) {
 // USER INTERFACE AND CONTROLS
 
 function setupControls() {
+    // Input source selection
+    document.querySelectorAll('input[name="inputSource"]').forEach(function(radio) {
+        radio.addEventListener('change', function() {
+            document.getElementById('videoFileGroup').style.display = this.value === 'videoFile' ? 'block' : 'none';
+            document.getElementById('imageSequenceGroup').style.display = this.value === 'imageSequence' ? 'block' : 'none';
+            
+            // Files are picked with the inputs below, only the webcam switches immediately
+            if (this.value === 'webcam' && inputSource !== 'webcam') {
+                disposeInputSource();
+                updateStatus("🚀 Initializing camera...");
+                initializeVideo();
+            }
+        });
+    });
+    
+    document.getElementById('videoFileInput').addEventListener('change', function() {
+        loadVideoFile(this.files[0]);
+    });
+    
+    document.getElementById('imageSequenceInput').addEventListener('change', function() {
+        loadImageSequence(this.files);
+    });
+    
+    // Image sequence playback speed
+    document.getElementById('sequenceFpsSlider').addEventListener('input', function() {
+        imageSequenceFrameRate = parseInt(this.value);
+        document.getElementById('sequenceFpsValue').textContent = imageSequenceFrameRate;
+    });
+    
+    // Playback controls for video files and image sequences
+    document.getElementById('playPauseButton').addEventListener('click', function() {
+        toggleMediaPlayback();
+    });
+    
+    document.getElementById('stepBackButton').addEventListener('click', function() {
+        stepMediaFrame(-1);
+    });
+    
+    document.getElementById('stepForwardButton').addEventListener('click', function() {
+        stepMediaFrame(1);
+    });
+    
+    document.getElementById('seekSlider').addEventListener('input', function() {
+        seekMediaFrame(parseInt(this.value));
+    });
+    
+    document.getElementById('loopToggle').addEventListener('change', function() {
+        mediaLooping = this.checked;
+        if (inputSource === 'videoFile' && video) {
+            video.elt.loop = mediaLooping;
+        }
+    });
+    
+    // Session recording and replay
+    document.getElementById('recordSessionButton').addEventListener('click', function() {
+        if (isRecordingSession) {
+            stopSessionRecording();
+        } else {
+            startSessionRecording();
+        }
+    });
+    
+    document.getElementById('downloadSessionJsonButton').addEventListener('click', function() {
+        downloadSession('json');
+    });
+    
+    document.getElementById('downloadSessionNdjsonButton').addEventListener('click', function() {
+        downloadSession('ndjson');
+    });
+    
+    document.getElementById('sessionFileInput').addEventListener('change', function() {
+        loadSessionFile(this.files[0]);
+        this.value = ''; // Allow loading the same file again
+    });
+    
+    document.getElementById('replayPlayButton').addEventListener('click', function() {
+        toggleSessionReplay();
+    });
+    
+    document.getElementById('replayStepButton').addEventListener('click', function() {
+        stepSessionReplay();
+    });
+    
+    document.getElementById('replayStopButton').addEventListener('click', function() {
+        stopSessionReplay();
+    });
+    
+    document.getElementById('replayLoopToggle').addEventListener('change', function() {
+        replayLooping = this.checked;
+    });
+    
     // Video and detection toggles
     document.getElementById('videoToggle').addEventListener('change', function() {
         showVideo = this.checked;
@@ -1201,6 +6562,11 @@ function setupControls() {
     
     document.getElementById('faceToggle').addEventListener('change', function() {
         showFace = this.checked;
+        document.getElementById('faceSettings').style.display = this.checked ? 'block' : 'none';
+    });
+    
+    document.getElementById('faceRenderStyleSelect').addEventListener('change', function() {
+        faceRenderStyle = this.value;
     });
     
     document.getElementById('facePixelationToggle').addEventListener('change', function() {
@@ -1210,16 +6576,129 @@ function setupControls() {
         pixelSizeGroup.style.display = this.checked ? 'block' : 'none';
     });
     
+    document.getElementById('faceMaskToggle').addEventListener('change', function() {
+        showFaceMasks = this.checked;
+        document.getElementById('faceMaskSettings').style.display = this.checked ? 'block' : 'none';
+    });
+    
+    document.getElementById('faceMaskList').addEventListener('change', function(event) {
+        let row = event.target.closest('[data-mask]');
+        if (row) faceMasks[parseInt(row.dataset.mask)].enabled = event.target.checked;
+    });
+    
+    document.getElementById('faceMaskFolderInput').addEventListener('change', function() {
+        loadFaceMaskFolder(this.files);
+        this.value = '';
+    });
+    
+    document.getElementById('gazeCursorToggle').addEventListener('change', function() {
+        showGazeCursor = this.checked;
+    });
+    
+    // 3D view
+    document.getElementById('render3DToggle').addEventListener('change', function() {
+        render3D = this.checked;
+        document.getElementById('render3DSettings').style.display = this.checked ? 'block' : 'none';
+    });
+    
+    document.getElementById('render3DStyleSelect').addEventListener('change', function() {
+        render3DStyle = this.value;
+    });
+    
+    document.getElementById('lightingSelect').addEventListener('change', function() {
+        lightingMode = this.value;
+    });
+    
+    document.getElementById('depthColorToggle').addEventListener('change', function() {
+        depthColoring = this.checked;
+    });
+    
+    document.getElementById('reset3DViewButton').addEventListener('click', reset3DView);
+    
     // Pixel size slider
     document.getElementById('pixelSizeSlider').addEventListener('input', function() {
         pixelSize = parseInt(this.value);
         document.getElementById('pixelSizeValue').textContent = pixelSize;
     });
     
+    // Max faces slider (Face Mesh has to be reloaded to apply it)
+    document.getElementById('maxFacesSlider').addEventListener('input', function() {
+        document.getElementById('maxFacesValue').textContent = this.value;
+    });
+    
+    document.getElementById('maxFacesSlider').addEventListener('change', function() {
+        maxFaces = parseInt(this.value);
+        reloadML5Model('faceMesh'); // maxFaces can only be set when the model is created
+    });
+    
     document.getElementById('handToggle').addEventListener('change', function() {
         showHands = this.checked;
     });
     
+    document.getElementById('bodyToggle').addEventListener('change', function() {
+        showBody = this.checked;
+        document.getElementById('bodySettings').style.display = this.checked ? 'block' : 'none';
+    });
+    
+    document.getElementById('unloadModelsButton').addEventListener('click', unloadPausedModels);
+    
+    document.getElementById('adaptiveRateToggle').addEventListener('change', function() {
+        adaptiveDetectionRate = this.checked;
+    });
+    
+    Object.keys(ML5_MODELS).forEach(function(name) {
+        document.getElementById(`${name}FpsSlider`).addEventListener('input', function() {
+            detectionTargetFps[name] = parseInt(this.value);
+            document.getElementById(`${name}FpsValue`).textContent = this.value;
+        });
+    });
+    
+    document.getElementById('bodyModelSelect').addEventListener('change', function() {
+        bodyModelName = this.value;
+        reloadML5Model('bodyPose');
+    });
+    
+    // Landmark smoothing
+    document.getElementById('smoothingToggle').addEventListener('change', function() {
+        smoothingEnabled = this.checked;
+        document.getElementById('smoothingSettings').style.display = this.checked ? 'block' : 'none';
+        resetLandmarkFilters();
+    });
+    
+    document.getElementById('smoothingMethodSelect').addEventListener('change', function() {
+        smoothingMethod = this.value;
+        resetLandmarkFilters();
+    });
+    
+    document.getElementById('faceSmoothingSlider').addEventListener('input', function() {
+        smoothingStrength.faces = parseInt(this.value) / 100;
+        document.getElementById('faceSmoothingValue').textContent = this.value;
+    });
+    
+    document.getElementById('handSmoothingSlider').addEventListener('input', function() {
+        smoothingStrength.hands = parseInt(this.value) / 100;
+        document.getElementById('handSmoothingValue').textContent = this.value;
+    });
+    
+    document.getElementById('bodySmoothingSlider').addEventListener('input', function() {
+        smoothingStrength.bodies = parseInt(this.value) / 100;
+        document.getElementById('bodySmoothingValue').textContent = this.value;
+    });
+    
+    document.getElementById('rawLandmarksToggle').addEventListener('change', function() {
+        showRawLandmarks = this.checked;
+    });
+    
+    // Interpolated rendering
+    document.getElementById('interpolationToggle').addEventListener('change', function() {
+        interpolationEnabled = this.checked;
+        document.getElementById('interpolationSettings').style.display = this.checked ? 'block' : 'none';
+    });
+    
+    document.getElementById('interpolationModeSelect').addEventListener('change', function() {
+        interpolationMode = this.value;
+    });
+    
     // Data stream toggle
     document.getElementById('dataStreamToggle').addEventListener('change', function() {
         showDataStream = this.checked;
@@ -1229,6 +6708,20 @@ function setupControls() {
         dataPanel.style.display = this.checked ? 'block' : 'none';
     });
     
+    // Data stream export
+    document.getElementById('dataRecordButton').addEventListener('click', function() {
+        if (isRecordingDataStream) {
+            stopDataStreamRecording();
+        } else {
+            startDataStreamRecording();
+        }
+    });
+    
+    document.getElementById('dataExportFormat').addEventListener('change', function() {
+        dataStreamExportFormat = this.value;
+        updateDataExportControls();
+    });
+    
     // Data on visualization toggle
     document.getElementById('dataOnVisualizationToggle').addEventListener('change', function() {
         showDataOnVisualization = this.checked;
@@ -1287,6 +6780,72 @@ function setupControls() {
         dataStreamOptions.fingertipPositions = this.checked;
     });
     
+    document.getElementById('expressionScoresOption').addEventListener('change', function() {
+        dataStreamOptions.expressionScores = this.checked;
+    });
+    
+    document.getElementById('trackingEventsOption').addEventListener('change', function() {
+        dataStreamOptions.trackingEvents = this.checked;
+    });
+    
+    document.getElementById('handGesturesOption').addEventListener('change', function() {
+        dataStreamOptions.handGestures = this.checked;
+    });
+    
+    document.getElementById('motionGesturesOption').addEventListener('change', function() {
+        dataStreamOptions.motionGestures = this.checked;
+    });
+    
+    document.getElementById('eyeEventsOption').addEventListener('change', function() {
+        dataStreamOptions.eyeEvents = this.checked;
+    });
+    
+    document.getElementById('headOrientationOption').addEventListener('change', function() {
+        dataStreamOptions.headOrientation = this.checked;
+    });
+    
+    document.getElementById('gazeOption').addEventListener('change', function() {
+        dataStreamOptions.gaze = this.checked;
+    });
+    
+    ['bodyShoulders', 'bodyElbows', 'bodyHips', 'bodyKnees'].forEach(function(option) {
+        document.getElementById(`${option}Option`).addEventListener('change', function() {
+            dataStreamOptions[option] = this.checked;
+        });
+    });
+    
+    // Network output
+    document.getElementById('networkOutputToggle').addEventListener('change', function() {
+        networkOutputEnabled = this.checked;
+        document.getElementById('networkSettingsGroup').style.display = this.checked ? 'block' : 'none';
+        if (this.checked) {
+            connectNetworkOutput();
+        } else {
+            disconnectNetworkOutput();
+        }
+    });
+    
+    document.getElementById('networkConnectButton').addEventListener('click', function() {
+        networkSettings.host = document.getElementById('wsHostInput').value.trim() || 'localhost';
+        networkSettings.port = parseInt(document.getElementById('wsPortInput').value) || 8080;
+        if (networkOutputEnabled) {
+            connectNetworkOutput();
+        }
+    });
+    
+    // OSC target changes are sent straight to the bridge
+    document.querySelectorAll('#oscHostInput, #oscPortInput, #oscPrefixInput').forEach(function(input) {
+        input.addEventListener('change', function() {
+            networkSettings.oscHost = document.getElementById('oscHostInput').value.trim() || '127.0.0.1';
+            let portInput = document.getElementById('oscPortInput');
+            networkSettings.oscPort = constrain(parseInt(portInput.value) || 9000, 1, 65535); // Typed values skip min and max
+            portInput.value = networkSettings.oscPort;
+            let prefix = document.getElementById('oscPrefixInput').value.trim().replace(/^\/+|\/+$/g, '');
+            networkSettings.oscPrefix = '/' + (prefix || 'cv');
+            sendNetworkConfig();
+        });
+    });
+    
     // Trigger toggles
     document.getElementById('winkTrigger').addEventListener('change', function() {
         winkTriggerEnabled = this.checked;
@@ -1297,7 +6856,7 @@ function setupControls() {
         if (this.checked) {
             // Initialize text when enabled
             quoteWords = criticalTheoryQuote.split(' ');
-            currentWordIndex = 0;
+            mouthTextStates = {};
         }
     });
     
@@ -1305,6 +6864,300 @@ function setupControls() {
         wristCircleTriggerEnabled = this.checked;
     });
     
+    document.getElementById('gestureTrigger').addEventListener('change', function() {
+        gestureTriggerEnabled = this.checked;
+        document.getElementById('gestureTriggerSettings').style.display = this.checked ? 'block' : 'none';
+    });
+    
+    document.getElementById('gestureTriggerSelect').addEventListener('change', function() {
+        gestureTriggerName = this.value;
+    });
+    
+    document.getElementById('motionTrigger').addEventListener('change', function() {
+        motionTriggerEnabled = this.checked;
+    });
+    
+    document.getElementById('bodyPoseTrigger').addEventListener('change', function() {
+        bodyPoseTriggerEnabled = this.checked;
+    });
+    
+    // Audio
+    document.getElementById('audioToggle').addEventListener('change', function() {
+        document.getElementById('audioSettings').style.display = this.checked ? 'block' : 'none';
+        if (this.checked) {
+            startAudio();
+        } else {
+            stopAudio();
+        }
+    });
+    
+    document.getElementById('audioMuteToggle').addEventListener('change', function() {
+        audioMuted = this.checked;
+        updateMasterVolume();
+    });
+    
+    document.getElementById('masterVolumeSlider').addEventListener('input', function() {
+        masterVolume = parseInt(this.value) / 100;
+        document.getElementById('masterVolumeValue').textContent = this.value;
+        updateMasterVolume();
+    });
+    
+    document.getElementById('synthWaveformSelect').addEventListener('change', function() {
+        synthWaveform = this.value;
+        if (synthNodes) synthNodes.oscillator.type = synthWaveform;
+    });
+    
+    document.getElementById('audioMappingList').addEventListener('change', function(event) {
+        let row = event.target.closest('[data-mapping]');
+        let field = event.target.dataset.field;
+        if (!row || !field) return;
+        
+        let mapping = audioMappings[parseInt(row.dataset.mapping)];
+        if (field === 'min' || field === 'max') {
+            mapping[field] = parseFloat(event.target.value) || 0;
+        } else {
+            mapping[field] = event.target.value;
+            if (field === 'target') {
+                // Start from a sensible range for the new target
+                mapping.min = AUDIO_TARGETS[mapping.target].min;
+                mapping.max = AUDIO_TARGETS[mapping.target].max;
+                renderAudioControls();
+            }
+        }
+    });
+    
+    document.getElementById('sampleTriggerList').addEventListener('change', function(event) {
+        let row = event.target.closest('[data-trigger]');
+        if (row && event.target.dataset.field) {
+            sampleTriggers[parseInt(row.dataset.trigger)][event.target.dataset.field] = event.target.value;
+        }
+    });
+    
+    document.querySelectorAll('#audioMappingList, #sampleTriggerList').forEach(function(list) {
+        list.addEventListener('click', function(event) {
+            if (event.target.dataset.action !== 'remove') return;
+            let row = event.target.closest('[data-mapping], [data-trigger]');
+            if (row.dataset.mapping !== undefined) {
+                audioMappings.splice(parseInt(row.dataset.mapping), 1);
+            } else {
+                sampleTriggers.splice(parseInt(row.dataset.trigger), 1);
+                sampleTriggerStates = [];
+            }
+            renderAudioControls();
+        });
+    });
+    
+    document.getElementById('addAudioMappingButton').addEventListener('click', function() {
+        audioMappings.push({ source: 'wristY', target: 'volume', min: AUDIO_TARGETS.volume.min, max: AUDIO_TARGETS.volume.max });
+        renderAudioControls();
+    });
+    
+    document.getElementById('addSampleTriggerButton').addEventListener('click', function() {
+        sampleTriggers.push({ condition: 'blink', sample: 'hihat' });
+        sampleTriggerStates = [];
+        renderAudioControls();
+    });
+    
+    document.getElementById('sampleFileInput').addEventListener('change', function() {
+        loadAudioSample(this.files[0]);
+        this.value = '';
+    });
+    
+    renderAudioControls();
+    
+    // MIDI output
+    document.getElementById('midiToggle').addEventListener('change', function() {
+        document.getElementById('midiSettings').style.display = this.checked ? 'block' : 'none';
+        if (this.checked) {
+            startMidiOutput();
+        } else {
+            stopMidiOutput();
+        }
+    });
+    
+    document.getElementById('midiOutputSelect').addEventListener('change', function() {
+        selectMidiOutput(this.value);
+    });
+    
+    document.getElementById('midiChannelSelect').addEventListener('change', function() {
+        releaseMidiNotes();
+        midiChannel = parseInt(this.value);
+    });
+    
+    document.getElementById('midiMappingList').addEventListener('change', function(event) {
+        let row = event.target.closest('[data-mapping]');
+        let field = event.target.dataset.field;
+        if (!row || !field) return;
+        
+        let index = parseInt(row.dataset.mapping);
+        let mapping = midiMappings[index];
+        if (mapping.noteOn) {
+            sendMidi([0x80 | midiChannel, mapping.number, 0]);
+            mapping.noteOn = false;
+        }
+        
+        if (field === 'solo') {
+            midiSoloIndex = event.target.checked ? index : null;
+            renderMidiMappings(); // Only one mapping can be solo
+        } else if (field === 'type') {
+            // Notes follow conditions, the others follow signals
+            let type = MIDI_MESSAGE_TYPES[event.target.value];
+            mapping.type = event.target.value;
+            mapping.source = mapping.type === 'note' ? 'mouthOpen' : 'noseX';
+            mapping.min = type.min;
+            mapping.max = type.max;
+            renderMidiMappings();
+        } else if (field === 'source') {
+            mapping.source = event.target.value;
+        } else if (field === 'number') {
+            // Typed values skip the input's min and max, and MIDI data bytes only go up to 127
+            mapping.number = constrain(parseInt(event.target.value) || 0, 0, 127);
+            event.target.value = mapping.number;
+        } else {
+            mapping[field] = parseInt(event.target.value) || 0;
+        }
+        mapping.lastValue = null;
+    });
+    
+    document.getElementById('midiMappingList').addEventListener('click', function(event) {
+        let row = event.target.closest('[data-mapping]');
+        let action = event.target.dataset.action;
+        if (!row || !action) return;
+        
+        let index = parseInt(row.dataset.mapping);
+        if (action === 'learn') {
+            startMidiLearn(index);
+        } else if (action === 'remove') {
+            releaseMidiNotes();
+            midiMappings.splice(index, 1);
+            midiSoloIndex = null;
+            midiLearnState = null;
+            renderMidiMappings();
+        }
+    });
+    
+    document.getElementById('addMidiMappingButton').addEventListener('click', function() {
+        let usedNumbers = midiMappings.filter(mapping => mapping.type === 'cc').map(mapping => mapping.number);
+        let number = 1;
+        while (usedNumbers.includes(number)) number++;
+        midiMappings.push({ type: 'cc', source: 'wristY', number: number, min: 0, max: 127 });
+        renderMidiMappings();
+    });
+    
+    renderMidiMappings();
+    
+    // Gesture training
+    document.getElementById('gestureLabelInput').addEventListener('input', function() {
+        gestureClassLabel = this.value.trim();
+    });
+    
+    document.getElementById('gestureRecordButton').addEventListener('click', function() {
+        if (isRecordingGestureSamples) {
+            stopGestureRecording();
+        } else {
+            startGestureRecording();
+        }
+    });
+    
+    document.getElementById('gestureClearButton').addEventListener('click', function() {
+        clearGestureSamples();
+    });
+    
+    document.getElementById('gestureTrainButton').addEventListener('click', function() {
+        trainGestureClassifier();
+    });
+    
+    document.getElementById('gestureSaveSamplesButton').addEventListener('click', function() {
+        downloadGestureSamples();
+    });
+    
+    document.getElementById('gestureSaveModelButton').addEventListener('click', function() {
+        saveGestureModel();
+    });
+    
+    document.getElementById('gestureSamplesFileInput').addEventListener('change', function() {
+        loadGestureSamples(this.files[0]);
+        this.value = ''; // Allow loading the same file again
+    });
+    
+    document.getElementById('gestureModelFileInput').addEventListener('change', function() {
+        loadGestureModel(Array.from(this.files)); // Copied, clearing the input empties the live FileList
+        this.value = ''; // Allow loading the same files again
+    });
+    
+    // Trigger rules, the rule list is rebuilt often so its inputs are handled here
+    let ruleList = document.getElementById('ruleList');
+    let findRule = (element) => {
+        let ruleElement = element.closest('[data-rule]');
+        return ruleElement ? triggerRules.find(rule => rule.id === parseInt(ruleElement.dataset.rule)) : null;
+    };
+    
+    ruleList.addEventListener('change', function(event) {
+        let rule = findRule(event.target);
+        if (rule && event.target.dataset.field) {
+            updateTriggerRuleField(rule, event.target);
+        }
+    });
+    
+    ruleList.addEventListener('click', function(event) {
+        let action = event.target.dataset.action;
+        let rule = findRule(event.target);
+        if (!action || !rule) return;
+        
+        if (action === 'addCondition') {
+            rule.conditions.push('faceDetected');
+        } else if (action === 'removeCondition') {
+            rule.conditions.splice(parseInt(event.target.dataset.index), 1);
+        } else if (action === 'deleteRule') {
+            triggerRules = triggerRules.filter(candidate => candidate !== rule);
+            delete ruleStates[rule.id];
+        }
+        saveTriggerRules();
+        renderTriggerRules();
+    });
+    
+    document.getElementById('addRuleButton').addEventListener('click', function() {
+        triggerRules.push(createTriggerRule());
+        saveTriggerRules();
+        renderTriggerRules();
+    });
+    
+    document.getElementById('saveRulesButton').addEventListener('click', function() {
+        downloadTriggerRules();
+    });
+    
+    document.getElementById('rulesFileInput').addEventListener('change', function() {
+        loadTriggerRulesFile(this.files[0]);
+        this.value = '';
+    });
+    
+    // Calibration
+    document.getElementById('calibrateButton').addEventListener('click', function() {
+        if (calibrationWizard) {
+            cancelCalibration();
+        } else {
+            startCalibration();
+        }
+    });
+    
+    document.getElementById('resetCalibrationButton').addEventListener('click', function() {
+        resetCalibration();
+    });
+    updateCalibrationControls();
+    
+    document.getElementById('gazeCalibrateButton').addEventListener('click', function() {
+        if (gazeCalibrationWizard) {
+            cancelGazeCalibration();
+        } else {
+            startGazeCalibration();
+        }
+    });
+    
+    document.getElementById('resetGazeCalibrationButton').addEventListener('click', function() {
+        resetGazeCalibration();
+    });
+    updateGazeCalibrationControls();
+    
     // Video filter controls
     document.querySelectorAll('input[name="videoFilter"]').forEach(function(radio) {
         radio.addEventListener('change', function() {
@@ -1314,19 +7167,39 @@ function setupControls() {
     });
 }
 
+// One line per model in the info panel, e.g. "Face Mesh: running · 9.8 FPS · 45 ms"
+// (actual detections per second and how long each detection takes)
+function updateModelStatusDisplay() {
+    const labels = { loading: '⏳ loading', running: '🟢 running', paused: '⏸️ paused', error: '❌ error' };
+    let html = '';
+    for (let name in ML5_MODELS) {
+        let state = modelStates[name];
+        let stats = detectionStats[name];
+        let rate = state === 'running' && stats && stats.fps ? ` · ${stats.fps.toFixed(1)} FPS · ${stats.inferenceTime.toFixed(0)} ms` : '';
+        html += `<p>${ML5_MODELS[name].label}: ${state ? labels[state] : '⚪ not loaded'}${rate}</p>`;
+    }
+    document.getElementById('modelStatus').innerHTML = html;
+}
+
 function updateStatus(message) {
     document.getElementById('status').innerHTML = message;
 }
 
 function updateDetectionCounts() {
     // Update total detection count
-    let totalCount = faces.length + hands.length;
+    let totalCount = faces.length + hands.length + bodies.length;
     document.getElementById('detectionCount').textContent = totalCount;
+    
+    // Latency changes every frame, a few updates a second are easier to read
+    if (frameCount % 10 === 0) {
+        let mode = interpolationEnabled ? ` (${interpolationMode})` : '';
+        document.getElementById('renderLatency').textContent = `${renderLatency.toFixed(0)} ms${mode}`;
+    }
 }
 
 // BEGINNER-FRIENDLY HELPER FUNCTIONS
 
-// Note: Since maxFaces is 1, faces[0] is the only possible face
+// Note: faces[0] is the first face, raise Max Faces to detect several (each one has a face.id)
 
 // RdYlBu (Red-Yellow-Blue) color mapping function
 function getViridisColor(t) {
@@ -1375,20 +7248,37 @@ function getLandmarkDistance(landmark1, landmark2) {
     return 0;
 }
 
+// Middle value of a list of numbers (less sensitive to bad frames than the average)
+function getMedian(values) {
+    if (values.length === 0) return 0;
+    let sorted = values.slice().sort((a, b) => a - b);
+    let middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// Save text as a file through the browser's download prompt
+function downloadTextFile(text, filename, mimeType) {
+    let blob = new Blob([text], { type: mimeType });
+    let link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Timestamp safe to use in file names, e.g. 2024-05-01T12-30-00
+function getFilenameTimestamp() {
+    return new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+}
+
 // Check if hand is making a fist
 function isHandFist(hand) {
-    if (!hand || !hand.keypoints) return false;
-    
-    // Simple fist detection: check if fingertips are close to palm
-    let palmCenter = hand.keypoints[0]; // Wrist
-    let fingertips = [4, 8, 12, 16, 20]; // Thumb, index, middle, ring, pinky tips
+    if (!hand || !hand.keypoints || !hand.keypoints[0]) return false;
     
+    // Simple fist detection: check if fingertips are close to the wrist, relative to palm size
     let closedFingers = 0;
-    for (let tipIndex of fingertips) {
-        if (hand.keypoints[tipIndex]) {
-            let distance = getLandmarkDistance(palmCenter, hand.keypoints[tipIndex]);
-            if (distance < 100) closedFingers++;
-        }
+    for (let ratio of getFingertipCurlRatios(hand)) {
+        if (ratio !== null && ratio < calibration.fist) closedFingers++;
     }
     
     return closedFingers >= 3;
@@ -1448,28 +7338,69 @@ function applyInvertFilter(graphics) {
 BEGINNER TIPS:
 
 1. Access detected landmarks:
-   - Face: faces[0] - Single face with 478 keypoints (maxFaces: 1)
+   - Face: faces[0] - First face with 478 keypoints (loop through faces when Max Faces is above 1)
    - Hands: Loop through hands array - up to 2 hands with 21 keypoints each
+   - Bodies: Turn on Body Pose, then loop through bodies - use getBodyPart(body, 'left_knee') for named keypoints
+   - Face features: getFaceRegionPoints(face, 'lips') - names are in FACE_REGIONS (face-mesh-data.js)
+   - Every face and hand has an id (face.id, hand.id) that stays the same while it is in view
+   - Use onTrackingEvent('enter', ...) and onTrackingEvent('leave', ...) to react when people come and go
+   - Models only load and run while a feature needs them - if your own code reads hands, turn on
+     Hand Pose (or add your check to isHandPoseNeeded()) so hands keeps being detected
 
 2. Create interactive effects:
    - Use landmark positions to control visuals
    - Check distances between points with getLandmarkDistance()
    - Detect gestures like fists with isHandFist()
    - Detect eye states with isLeftEyeOpen() and isRightEyeOpen()
+   - Run the calibration wizard so these detectors fit your face and hands
+   - Use getExpressionScores() for smooth 0-1 values (smile, brow raise...) instead of true/false
 
 3. Customize colors:
    - Change values in the COLORS object above
+   - FACE_REGION_COLORS sets the colors of the Colored Regions face style
    - Use color(red, green, blue) for custom colors
 
 4. Add your own drawings:
    - Use the draw() function to add custom visuals
    - Draw shapes based on landmark positions
    - Create particle systems that follow movements
+   - Turn on 3D View to see the face and hands with depth; draw3DView() shows how to use the z values
+   - Add your own face masks: put the images in masks/ and list them in masks/masks.json (see FACE MASKS)
 
 5. Interactive triggers (see TRIGGERS section):
-   - Wink detection: Shows "WINK" text when one eye is closed
+   - Wink detection: Shows "WINK" text after a wink (one eye closed briefly, the other open)
+   - Use onEyeEvent(event => ...) to react to blinks and winks, getBlinksPerMinute(face.id) for the blink rate
+   - getHeadPose(face) gives yaw, pitch and roll in degrees, onHeadGesture(event => ...) reacts to nods and shakes
+   - getGaze(face) says where on the canvas someone looks (x and y from 0 to 1), Calibrate Gaze makes it more accurate
    - Mouth text stream: Displays text word-by-word when mouth is open
    - Wrist circle: White circle between wrists that changes size with distance
+   - Hand gesture: Shows the name of the selected gesture above any hand making it
+   - Body poses: Shows "Arms Raised", "T-Pose" or "Squat" above anyone making them (see getBodyPoses())
+   - Use getHandGestures() or hasHandGesture('peace') for peace, thumbs up, OK, pinch, rock, counting...
+   - Teach your own gestures in the Train Gesture panel, then read gesturePredictions[hand.id]
+   - Motion gestures: Swipes, circles, waves and push/pull, use onMotionGesture(event => ...) to react to them
+   - Trigger Rules: Combine conditions into rules without code, e.g. left eye closed + mouth open for 500ms -> show text.
+     Rules are kept in the browser; save them as triggers.json next to index.html to load them on startup
+
+6. Input sources:
+   - Use the Input Source section to swap the webcam for a video file or a folder of frames
+   - Every detection runs on the active source, so gesture logic can be tested without a camera
+   - Record a session to save every detection to a file, then replay it later without ML5 or a camera
+
+7. Sending data to other tools:
+   - Run 'node bridge/osc-bridge.js' and enable Network Output to publish the data stream
+   - Every frame is sent as JSON over WebSocket and as OSC messages like /cv/face/1/nose x y
+
+8. Sound:
+   - Enable Audio, then map signals (wrist distance, mouth openness...) to the synth's pitch, volume or filter
+   - Sample triggers play a sound when a condition starts, e.g. a bell on a wink or a kick on a fist
+   - Add your own signals to SIGNAL_SOURCES: any function that returns a number between 0 and 1
+   - MIDI Output sends the same signals to hardware or software synths (Chrome/Edge), use Learn to pick a
+     signal by moving, and Solo so your synth's MIDI learn only sees one control
+
+9. Performance:
+   - Lower a model's target in Detection Rate to free up CPU, models take turns so they never overlap
+   - The info panel shows each model's actual detections per second and how long one detection takes
    
 NOTE: To change the mouth text, edit the 'criticalTheoryQuote' variable above.
 */
\ No newline at end of file